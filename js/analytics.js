@@ -11,7 +11,7 @@
     FEATURES:
     - Interactive charts (status, priority, delivery, trends)
     - Athens delivery zone visualization
-    - Real-time timeline with refresh
+    - Real-time timeline of order changes from the audit log
     - Pizza popularity progress bars
     - Statistics cards with Greek data
     - Dark mode compatible charts
@@ -27,20 +27,46 @@
 class AnalyticsDashboard {
     constructor() {
         this.charts = {};
+        this.statusMachine = new OrderStatusMachine();
+        this.zones = new DeliveryZoneResolver();
+        this.repository = OrderRepository.fromConfig();
+        this.sync = new OrderSync();
+        this.dispatch = DispatchPlanner.fromConfig();
+        this.audit = new OrderAuditLog(AUDIT_DEFAULTS, this.statusMachine);
         this.init();
     }
     
-    init() {
-        this.loadData();
+    async init() {
+        await this.loadData();
         this.createCharts();
         this.setupEventListeners();
         this.updateStats();
+        this.updateHeatMap();
+        this.updateDriverStats();
+        this.updateTimeline();
     }
     
-    loadData() {
-        // In a real app, this would fetch from an API
-        // For demo, me use sample data and localStorage
-        this.tasks = JSON.parse(localStorage.getItem('pizzaOrders')) || this.getSampleData();
+    async loadData() {
+        // Same data layer as the orders page; sample data when nothing is stored yet
+        try {
+            const stored = await this.repository.loadAll();
+            this.usingSampleData = !stored;
+            this.tasks = stored ? stored.orders : this.getSampleData();
+            this.sync.remember(this.tasks);
+            
+            if (stored && stored.quarantined.length > 0) {
+                this.showNotification(`${stored.quarantined.length} unreadable order(s) were left out. See the Orders page to recover them.`, 'warning');
+            }
+        } catch (error) {
+            console.error('Error loading orders for analytics:', error);
+            this.usingSampleData = true;
+            this.tasks = this.getSampleData();
+        }
+        
+        // Map legacy pending/completed values onto the order lifecycle
+        this.tasks.forEach(task => {
+            task.status = this.statusMachine.normalize(task.status);
+        });
     }
     
     getSampleData() {
@@ -82,8 +108,8 @@ class AnalyticsDashboard {
         const ctx = document.getElementById('statusChart');
         if (!ctx) return;
         
-        const pending = this.tasks.filter(t => t.status === 'pending').length;
-        const completed = this.tasks.filter(t => t.status === 'completed').length;
+        const pending = this.tasks.filter(t => this.statusMachine.isActive(t.status)).length;
+        const completed = this.tasks.filter(t => t.status === 'delivered').length;
         
         this.charts.status = new Chart(ctx, {
             type: 'doughnut',
@@ -281,9 +307,21 @@ class AnalyticsDashboard {
         // Peak hour (sample data)
         document.getElementById('peak-hour').textContent = '7:30 PM';
         
-        // Top pizza (from sample data)
+        // Top pizza
+        document.getElementById('top-pizza').textContent = this.getTopPizza(this.tasks);
+    }
+    
+    getTopPizza(tasks) {
         const pizzaCounts = {};
-        this.tasks.forEach(task => {
+        tasks.forEach(task => {
+            // Line-item orders count every pizza, older orders only have a name
+            if (Array.isArray(task.items)) {
+                task.items.forEach(item => {
+                    pizzaCounts[item.pizza] = (pizzaCounts[item.pizza] || 0) + (item.quantity || 1);
+                });
+                return;
+            }
+            
             const pizzaName = task.name.split(' ')[0]; // Get first word (pizza type)
             pizzaCounts[pizzaName] = (pizzaCounts[pizzaName] || 0) + 1;
         });
@@ -297,7 +335,39 @@ class AnalyticsDashboard {
             }
         }
         
-        document.getElementById('top-pizza').textContent = topPizza;
+        return topPizza;
+    }
+    
+    // Real order counts per delivery zone; the sample data has no addresses
+    updateHeatMap() {
+        if (this.usingSampleData) return;
+        
+        document.querySelectorAll('.zone').forEach(zone => {
+            const zoneId = [...zone.classList].find(name => /^zone-\d+$/.test(name));
+            zone.dataset.orders = this.tasks.filter(task => task.zone === zoneId).length;
+        });
+    }
+    
+    // Drivers and runs recorded by the dispatch panel on the orders page
+    updateDriverStats() {
+        const container = document.getElementById('driver-stats');
+        if (!container || this.usingSampleData) return;
+        
+        const stats = this.dispatch.getDriverStats(this.tasks);
+        const minutes = value => value === null ? '–' : `${value.toFixed(1)} min`;
+        
+        container.innerHTML = stats.length === 0
+            ? '<tr><td colspan="6" class="text-muted">No driver runs yet</td></tr>'
+            : stats.map(driver => `
+                <tr>
+                    <td class="fw-medium">${this.escapeHTML(driver.name)}</td>
+                    <td>${driver.runs}</td>
+                    <td>${driver.deliveries}</td>
+                    <td>${minutes(driver.avgDeliveryMinutes)}</td>
+                    <td>${minutes(driver.avgRunMinutes)}</td>
+                    <td>${driver.onTimeRate === null ? '–' : `${Math.round(driver.onTimeRate * 100)}%`}</td>
+                </tr>
+            `).join('');
     }
     
     setupEventListeners() {
@@ -330,15 +400,20 @@ class AnalyticsDashboard {
             zone.addEventListener('click', () => {
                 const orders = zone.dataset.orders;
                 const zoneNum = zone.classList[1].split('-')[1];
+                const deliveryZone = this.zones.getZone(`zone-${zoneNum}`);
+                const zoneOrders = this.tasks.filter(task => task.zone === `zone-${zoneNum}`);
                 
                 const details = document.getElementById('zone-details');
                 details.innerHTML = `
                     <div class="card">
                         <div class="card-body">
-                            <h5>Zone ${zoneNum}</h5>
-                            <p><strong>Orders this week:</strong> ${orders}</p>
-                            <p><strong>Avg delivery time:</strong> ${25 + parseInt(zoneNum)} minutes</p>
-                            <p><strong>Popular pizza:</strong> ${zoneNum === '3' ? 'Pepperoni' : zoneNum === '1' ? 'Margherita' : 'BBQ Chicken'}</p>
+                            <h5>Zone ${zoneNum}${deliveryZone ? `: ${deliveryZone.name}` : ''}</h5>
+                            <p><strong>Orders:</strong> ${orders}</p>
+                            ${deliveryZone ? `
+                                <p><strong>Delivery fee:</strong> ${formatPrice(deliveryZone.fee)} · <strong>Minimum:</strong> ${formatPrice(deliveryZone.minOrder)}</p>
+                                <p><strong>Extra delivery time:</strong> +${deliveryZone.etaOffset} minutes</p>
+                            ` : ''}
+                            <p><strong>Popular pizza:</strong> ${this.getTopPizza(this.usingSampleData ? this.tasks : zoneOrders)}</p>
                             <div class="pizza-decoration mt-2">
                                 <i class="fas fa-pizza-slice text-warning"></i>
                                 <i class="fas fa-truck text-success mx-2"></i>
@@ -361,86 +436,108 @@ class AnalyticsDashboard {
             this.refreshTimeline();
         });
         
-        // Auto refresh charts every 30 seconds (simulated real-time updates)
-        setInterval(() => {
-            this.simulateRealTimeUpdate();
-        }, 30000);
+        // Live updates whenever an orders tab saves a change
+        this.sync.onChange(message => this.refreshData(message));
     }
     
     refreshTimeline() {
+        this.updateTimeline();
+        this.showNotification('Timeline refreshed with latest orders', 'info');
+    }
+    
+    // Latest changes logged by the orders page, newest first
+    updateTimeline() {
         const timeline = document.querySelector('.timeline');
         if (!timeline) return;
         
-        // Sample timeline items
-        const activities = [
-            {
-                title: "New Order: Hawaiian Pizza",
-                time: "Just now",
-                icon: "fa-plus-circle",
-                color: "primary",
-                marker: "bg-primary",
-                decorations: ['fa-pineapple', 'fa-plus-circle', 'fa-clock']
-            },
-            {
-                title: "Pepperoni Pizza in Oven",
-                time: "3 minutes in oven",
-                icon: "fa-fire",
-                color: "danger",
-                marker: "bg-warning",
-                decorations: ['fa-pepper-hot', 'fa-fire', 'fa-clock']
-            },
-            {
-                title: "2x Margherita Pizzas Delivered",
-                time: "2 minutes ago",
-                icon: "fa-check-circle",
-                color: "success",
-                marker: "bg-success",
-                decorations: ['fa-leaf', 'fa-check-circle', 'fa-truck']
-            }
-        ];
-        
-        const randomActivity = activities[Math.floor(Math.random() * activities.length)];
+        const entries = this.audit.getRecent(8);
+        timeline.innerHTML = entries.length === 0
+            ? '<p class="text-muted mb-0">No order activity yet. New orders and status changes show up here as they happen.</p>'
+            : entries.map(entry => {
+                const activity = this.describeActivity(entry);
+                return `
+                    <div class="timeline-item">
+                        <div class="timeline-marker bg-${activity.color}" aria-hidden="true"></div>
+                        <div class="timeline-content">
+                            <h3 class="h6">${this.escapeHTML(activity.title)}</h3>
+                            <p class="text-muted mb-0">Order #${entry.orderId} • ${this.formatAgo(entry.at)} • ${this.escapeHTML(entry.actor)}</p>
+                            <div class="pizza-decoration" aria-hidden="true">
+                                <i class="fas ${activity.icon} text-${activity.color}"></i>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    }
+    
+    describeActivity(entry) {
+        const place = entry.location ? ` · ${entry.location}` : '';
         
-        // Shift existing items downwards
-        const items = timeline.querySelectorAll('.timeline-item');
-        for (let i = items.length - 1; i > 0; i--) {
-            items[i].innerHTML = items[i-1].innerHTML;
+        if (entry.action === 'created') {
+            return { title: `New Order: ${entry.orderName}${place}`, color: 'primary', icon: 'fa-plus-circle' };
         }
-        
-        // Update first item
-        if (items.length > 0) {
-            items[0].innerHTML = `
-                <div class="timeline-marker ${randomActivity.marker}"></div>
-                <div class="timeline-content">
-                    <h6>${randomActivity.title}</h6>
-                    <p class="text-muted mb-0">Order #${460 + Math.floor(Math.random() * 10)} • ${randomActivity.time}</p>
-                    <div class="pizza-decoration">
-                        <i class="fas ${randomActivity.decorations[0]} text-${randomActivity.color}"></i>
-                        <i class="fas ${randomActivity.decorations[1]} text-${randomActivity.color} mx-1"></i>
-                        <i class="fas ${randomActivity.decorations[2]} text-warning"></i>
-                    </div>
-                </div>
-            `;
+        if (entry.action === 'deleted') {
+            return { title: `Order Deleted: ${entry.orderName}`, color: 'secondary', icon: 'fa-trash' };
+        }
+        if (entry.field === 'status') {
+            const info = this.statusMachine.getInfo(entry.newValue);
+            const color = entry.newValue === 'delivered' ? 'success'
+                : this.statusMachine.isActive(entry.newValue) ? 'warning' : 'danger';
+            return { title: `${entry.orderName}: ${info.label}${place}`, color, icon: info.icon };
         }
         
-        // Show refresh notification
-        this.showNotification('Timeline refreshed with latest orders', 'info');
+        return {
+            title: `${entry.orderName}: ${this.audit.getFieldLabel(entry.field)} changed to ${this.audit.formatValue(entry.field, entry.newValue)}`,
+            color: 'info',
+            icon: 'fa-edit'
+        };
     }
     
-    simulateRealTimeUpdate() {
-        //Simulate new data coming in
+    formatAgo(dateString) {
+        const minutes = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000);
+        if (minutes < 1) return 'Just now';
+        if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        
+        return new Date(dateString).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+    }
+    
+    async refreshData(message) {
+        // Sample data is replaced by the real orders as soon as any exist
+        if (this.usingSampleData) {
+            await this.loadData();
+        } else {
+            this.tasks = this.sync.merge(this.tasks, message);
+        }
+        
         if (this.charts.status) {
-            //Randomly update one data point
-            const newPending = Math.max(0, this.charts.status.data.datasets[0].data[0] + (Math.random() > 0.5 ? 1 : -1));
-            const newCompleted = Math.max(0, this.charts.status.data.datasets[0].data[1] + (Math.random() > 0.5 ? 1 : -1));
-            
-            this.charts.status.data.datasets[0].data = [newPending, newCompleted];
+            const pending = this.tasks.filter(t => this.statusMachine.isActive(t.status)).length;
+            const completed = this.tasks.filter(t => t.status === 'delivered').length;
+            this.charts.status.data.datasets[0].data = [pending, completed];
             this.charts.status.update('none');
         }
         
-        //Update today's orders count
-        const currentCount = parseInt(document.getElementById('total-orders-today').textContent) || 0;
-        document.getElementById('total-orders-today').textContent = currentCount + (Math.random() > 0.7 ? 1 : 0);
+        if (this.charts.priority) {
+            this.charts.priority.data.datasets[0].data = ['high', 'medium', 'low']
+                .map(priority => this.tasks.filter(t => t.priority === priority).length);
+            this.charts.priority.update('none');
+        }
+        
+        this.updateStats();
+        this.updateHeatMap();
+        this.updateDriverStats();
+        this.updateTimeline();
+    }
+    
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
     showNotification(message, type = 'info') {
@@ -0,0 +1,202 @@
+/*
+    FILE: audit-log.js - Order Audit Log
+    CONTENTS:
+    1. Audit configuration (storage key, tracked fields)
+    2. OrderAuditLog class (append-only entries)
+    3. Change detection between saved order lists
+    4. Readable values for the history drawer and the analytics timeline
+
+    FEATURES:
+    - One entry per changed field with the old and new value, who changed it and when
+    - Created and deleted orders logged too, so nothing disappears without a trace
+    - Totals are logged too, since a reprice or zone move changes them on its own
+    - Revision and name are derived and left out; their causes are logged
+    - Shared by the orders page and the analytics timeline
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== AUDIT CONFIGURATION =====
+const AUDIT_DEFAULTS = {
+    storageKey: 'pizzaAuditLog',
+    // The oldest entries are dropped past this, so the log can't fill up localStorage
+    maxEntries: 2000,
+    defaultActor: 'Staff',
+    fields: {
+        items: 'Pizzas',
+        extras: 'Sides and drinks',
+        description: 'Special instructions',
+        due: 'Delivery time',
+        priority: 'Priority',
+        status: 'Status',
+        address: 'Address',
+        zone: 'Delivery zone',
+        location: 'Suburb',
+        totals: 'Total',
+        customerId: 'Customer',
+        dispatch: 'Driver',
+        sla: 'SLA',
+        schedule: 'Schedule'
+    }
+};
+
+// ===== ORDER AUDIT LOG CLASS =====
+class OrderAuditLog {
+    constructor(config = AUDIT_DEFAULTS, statusMachine = new OrderStatusMachine()) {
+        this.config = config;
+        this.statusMachine = statusMachine;
+    }
+
+    // ===== ENTRIES =====
+    // Oldest first, in the order they were recorded
+    getEntries() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.config.storageKey));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable audit log:', error);
+            return [];
+        }
+    }
+
+    getOrderEntries(orderId) {
+        return this.getEntries().filter(entry => entry.orderId === orderId);
+    }
+
+    // Newest first, for timelines
+    getRecent(limit = 10) {
+        return this.getEntries().slice(-limit).reverse();
+    }
+
+    // Entries are only ever added; nothing in the log is edited afterwards
+    append(entries) {
+        if (entries.length === 0) return;
+
+        const log = [...this.getEntries(), ...entries].slice(-this.config.maxEntries);
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(log));
+        } catch (error) {
+            console.warn('Could not store the audit log:', error);
+        }
+    }
+
+    // ===== CHANGE DETECTION =====
+    // Orders are replaced rather than mutated, so only orders with a new reference are compared
+    diff(beforeOrders, afterOrders, actor = this.config.defaultActor, at = new Date().toISOString()) {
+        const beforeById = new Map(beforeOrders.map(order => [order.id, order]));
+        const afterIds = new Set(afterOrders.map(order => order.id));
+        const entry = (order, action, field = null, oldValue = null, newValue = null) => ({
+            orderId: order.id,
+            orderName: order.name,
+            location: order.location || '',
+            action,
+            field,
+            oldValue,
+            newValue,
+            actor,
+            at
+        });
+        const entries = [];
+
+        afterOrders.forEach(order => {
+            const before = beforeById.get(order.id);
+            if (before === order) return;
+
+            if (!before) {
+                entries.push(entry(order, 'created'));
+                return;
+            }
+
+            Object.keys(this.config.fields).forEach(field => {
+                const oldValue = this.summarize(field, before[field]);
+                const newValue = this.summarize(field, order[field]);
+                if (oldValue !== newValue) entries.push(entry(order, 'changed', field, oldValue, newValue));
+            });
+        });
+
+        beforeOrders
+            .filter(order => !afterIds.has(order.id))
+            .forEach(order => entries.push(entry(order, 'deleted')));
+
+        return entries;
+    }
+
+    record(beforeOrders, afterOrders, actor, at) {
+        const entries = this.diff(beforeOrders, afterOrders, actor, at);
+        this.append(entries);
+        return entries;
+    }
+
+    // The logged form of a field: text or null, so missing and empty values compare equal
+    summarize(field, value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        switch (field) {
+            case 'items':
+                return value.map(item => {
+                    const changes = [
+                        ...(item.toppings?.add || []).map(name => `+${name}`),
+                        ...(item.toppings?.remove || []).map(name => `-${name}`),
+                        ...(item.dietary || []).map(need => `needs ${need}`),
+                        ...(item.notes ? [`"${item.notes}"`] : [])
+                    ];
+                    return `${item.quantity}x ${item.size} ${item.crust} ${item.pizza}${changes.length ? ` (${changes.join(', ')})` : ''}`;
+                }).join('; ') || null;
+            case 'extras':
+                return value.map(extra => `${extra.quantity}x ${extra.name}`).join('; ') || null;
+            case 'due':
+                // The form's local time and a stored ISO time of the same moment are no change
+                return new Date(value).toISOString();
+            case 'totals':
+                return formatPrice(value.total);
+            case 'dispatch':
+                // Departure and return times too, so closing out a run is logged
+                return [
+                    value.driverName,
+                    value.departedAt && `left ${new Date(value.departedAt).toISOString()}`,
+                    value.returnedAt && `back ${new Date(value.returnedAt).toISOString()}`
+                ].filter(Boolean).join(', ');
+            case 'sla':
+                return `${value.level}${value.flagged ? ', flagged for review' : ''}`;
+            case 'schedule':
+                return value.type;
+            default:
+                return String(value);
+        }
+    }
+
+    // ===== DISPLAY =====
+    getFieldLabel(field) {
+        return this.config.fields[field] || field;
+    }
+
+    formatValue(field, value) {
+        if (value === null) return 'none';
+
+        switch (field) {
+            case 'status':
+                return this.statusMachine.getInfo(value).label;
+            case 'priority':
+                return value.charAt(0).toUpperCase() + value.slice(1);
+            case 'due':
+                return this.formatTime(value);
+            case 'dispatch':
+                return value.replace(/\d{4}-\d{2}-\d{2}T[\d:.]+Z/g, time => this.formatTime(time));
+            default:
+                return value;
+        }
+    }
+
+    formatTime(value) {
+        return new Date(value).toLocaleString('en-GB', {
+            day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+        });
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AUDIT_DEFAULTS, OrderAuditLog };
+}
@@ -0,0 +1,185 @@
+/*
+    FILE: customers.js - Customer Directory
+    CONTENTS:
+    1. Customer configuration (storage key, allergy flags)
+    2. CustomerDirectory class (records, validation, lookup)
+    3. Order history and lifetime value per customer
+
+    FEATURES:
+    - Name, phone, email, default address and zone, notes and allergy flags
+    - Orders reference customers by id, so a changed phone or address never rewrites old orders
+    - Typeahead lookup by name, phone or email
+    - Order count, lifetime value, average order and favourite pizza
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== CUSTOMER CONFIGURATION =====
+const CUSTOMER_DEFAULTS = {
+    storageKey: 'pizzaCustomers',
+    // The allergens of the menu's dietary model, so a customer's allergies carry over to their pizzas
+    allergyFlags: Object.entries(DIETARY_TAGS)
+        .filter(([, tag]) => tag.kind === 'allergen')
+        .map(([id, tag]) => ({ id, label: tag.label }))
+};
+
+// ===== CUSTOMER DIRECTORY CLASS =====
+class CustomerDirectory {
+    constructor(config = CUSTOMER_DEFAULTS, zones = new DeliveryZoneResolver()) {
+        this.config = config;
+        this.zones = zones;
+    }
+
+    // ===== RECORDS =====
+    getCustomers() {
+        try {
+            const customers = JSON.parse(localStorage.getItem(this.config.storageKey));
+            return Array.isArray(customers) ? customers : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable customer list:', error);
+            return [];
+        }
+    }
+
+    getCustomer(customerId) {
+        return this.getCustomers().find(customer => customer.id === customerId) || null;
+    }
+
+    // Adds a customer, or updates the one with the same id; throws with a message for the form
+    save(data) {
+        const customers = this.getCustomers();
+        const existing = data.id ? customers.find(customer => customer.id === data.id) : null;
+        const customer = this.normalize({ ...existing, ...data });
+
+        const problem = this.validate(customer, customers);
+        if (problem) throw new Error(problem);
+
+        if (existing) {
+            customer.createdAt = existing.createdAt;
+        } else {
+            customer.id = `customer-${Date.now()}`;
+            customer.createdAt = new Date().toISOString();
+        }
+
+        const saved = existing
+            ? customers.map(candidate => candidate.id === customer.id ? customer : candidate)
+            : [...customers, customer];
+        localStorage.setItem(this.config.storageKey, JSON.stringify(saved));
+        return customer;
+    }
+
+    // Past orders keep their customerId; they just show no customer afterwards
+    remove(customerId) {
+        const customers = this.getCustomers().filter(customer => customer.id !== customerId);
+        localStorage.setItem(this.config.storageKey, JSON.stringify(customers));
+    }
+
+    normalize(data) {
+        const flags = this.config.allergyFlags.map(flag => flag.id);
+        const address = String(data.address || '').trim();
+        const delivery = address ? this.zones.resolve(address) : null;
+
+        return {
+            id: data.id || null,
+            name: String(data.name || '').trim(),
+            phone: String(data.phone || '').trim(),
+            email: String(data.email || '').trim().toLowerCase(),
+            address,
+            // The default zone follows the default address
+            zone: delivery ? delivery.zone.id : null,
+            notes: String(data.notes || '').trim(),
+            allergies: (data.allergies || []).filter(flag => flags.includes(flag)),
+            createdAt: data.createdAt || null
+        };
+    }
+
+    // Returns the first problem, or null when the customer can be saved
+    validate(customer, customers) {
+        if (!customer.name) return 'Customer name is required';
+        if (!customer.phone && !customer.email) return 'Add a phone number or an email address';
+        if (customer.phone && !/^\+?[\d\s()-]{7,}$/.test(customer.phone)) {
+            return `"${customer.phone}" is not a phone number`;
+        }
+        if (customer.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer.email)) {
+            return `"${customer.email}" is not an email address`;
+        }
+
+        // Phone and email identify a customer, so they can't belong to two records
+        const digits = value => value.replace(/\D/g, '');
+        const duplicate = customers.find(other => other.id !== customer.id && (
+            (customer.phone && digits(other.phone) === digits(customer.phone)) ||
+            (customer.email && other.email === customer.email)
+        ));
+        if (duplicate) return `${duplicate.name} already has this phone number or email`;
+
+        return null;
+    }
+
+    getAllergyLabels(customer) {
+        return this.config.allergyFlags
+            .filter(flag => customer.allergies.includes(flag.id))
+            .map(flag => flag.label);
+    }
+
+    // ===== LOOKUP =====
+    // Every word has to match the name, email or phone; phone digits match with or without spaces
+    search(term, limit = 6) {
+        const words = this.normalizeText(term).split(' ').filter(Boolean);
+        if (words.length === 0) return [];
+
+        return this.getCustomers()
+            .filter(customer => {
+                const text = this.normalizeText(`${customer.name} ${customer.email} ${customer.phone}`);
+                const digits = customer.phone.replace(/\D/g, '');
+                return words.every(word => text.includes(word) || (/^\d+$/.test(word) && digits.includes(word)));
+            })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    normalizeText(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // ===== ORDER HISTORY =====
+    getOrders(customerId, orders) {
+        return orders
+            .filter(order => order.customerId === customerId)
+            .sort((a, b) => new Date(b.created) - new Date(a.created));
+    }
+
+    // Cancelled and refunded orders count as orders but not towards the money spent
+    getStats(customerId, orders) {
+        const history = this.getOrders(customerId, orders);
+        const paid = history.filter(order => !['cancelled', 'refunded'].includes(order.status));
+        const lifetimeValue = roundCurrency(paid.reduce((sum, order) => sum + (order.totals?.total || 0), 0));
+
+        const pizzaCounts = new Map();
+        paid.forEach(order => order.items.forEach(item => {
+            pizzaCounts.set(item.pizza, (pizzaCounts.get(item.pizza) || 0) + item.quantity);
+        }));
+        const favourite = [...pizzaCounts.entries()].sort((a, b) => b[1] - a[1])[0];
+
+        return {
+            orderCount: history.length,
+            paidCount: paid.length,
+            lifetimeValue,
+            averageOrder: paid.length > 0 ? roundCurrency(lifetimeValue / paid.length) : 0,
+            firstOrderAt: history.length > 0 ? history[history.length - 1].created : null,
+            lastOrderAt: history.length > 0 ? history[0].created : null,
+            favouritePizza: favourite ? favourite[0] : null
+        };
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CUSTOMER_DEFAULTS, CustomerDirectory };
+}
@@ -0,0 +1,143 @@
+/*
+    FILE: delivery-zones.js - Athens Delivery Zones
+    CONTENTS:
+    1. Delivery zone definitions (suburbs, postcodes, fees)
+    2. DeliveryZoneResolver class for free-text addresses
+
+    FEATURES:
+    - Suburbs and postcodes mapped to five delivery zones
+    - Per-zone delivery fee, minimum order and ETA offset
+    - Greek and Latin spellings, with or without accents
+    - Out-of-area addresses resolve to nothing
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== DELIVERY ZONES =====
+// Zones ring the Aghia Paraskevi kitchen; ids match the analytics heat map.
+// Postcodes are inclusive [from, to] ranges of 5-digit Greek postcodes.
+const DELIVERY_ZONES = [
+    {
+        id: 'zone-1',
+        name: 'Aghia Paraskevi',
+        suburbs: [
+            { name: 'Aghia Paraskevi', aliases: ['Agia Paraskevi', 'Αγία Παρασκευή'] },
+            { name: 'Cholargos', aliases: ['Χολαργός'] },
+            { name: 'Papagou', aliases: ['Παπάγου'] }
+        ],
+        postcodes: [[15341, 15344], [15561, 15562], [15669, 15669]],
+        fee: 1.50,
+        minOrder: 10.00,
+        etaOffset: 0
+    },
+    {
+        id: 'zone-2',
+        name: 'Chalandri',
+        suburbs: [
+            { name: 'Chalandri', aliases: ['Halandri', 'Χαλάνδρι'] },
+            { name: 'Vrilissia', aliases: ['Βριλήσσια'] },
+            { name: 'Psychiko', aliases: ['Ψυχικό'] }
+        ],
+        postcodes: [[15231, 15238], [15451, 15452]],
+        fee: 2.00,
+        minOrder: 12.00,
+        etaOffset: 5
+    },
+    {
+        id: 'zone-3',
+        name: 'Marousi',
+        suburbs: [
+            { name: 'Marousi', aliases: ['Maroussi', 'Μαρούσι'] },
+            { name: 'Melissia', aliases: ['Μελίσσια'] },
+            { name: 'Pefki', aliases: ['Πεύκη'] }
+        ],
+        postcodes: [[15121, 15127]],
+        fee: 2.50,
+        minOrder: 15.00,
+        etaOffset: 10
+    },
+    {
+        id: 'zone-4',
+        name: 'Kifisia',
+        suburbs: [
+            { name: 'Kifisia', aliases: ['Kifissia', 'Κηφισιά'] },
+            { name: 'Nea Erythraia', aliases: ['Νέα Ερυθραία'] },
+            { name: 'Ekali', aliases: ['Εκάλη'] }
+        ],
+        postcodes: [[14561, 14565], [14671, 14671], [14578, 14578]],
+        fee: 3.00,
+        minOrder: 18.00,
+        etaOffset: 15
+    },
+    {
+        id: 'zone-5',
+        name: 'Nea Smyrni',
+        suburbs: [
+            { name: 'Nea Smyrni', aliases: ['Νέα Σμύρνη'] },
+            { name: 'Athens Center', aliases: ['Athens Centre', 'Αθήνα'] },
+            { name: 'Kallithea', aliases: ['Καλλιθέα'] }
+        ],
+        postcodes: [[10431, 10682], [11141, 11745], [17121, 17124], [17671, 17676]],
+        fee: 3.50,
+        minOrder: 20.00,
+        etaOffset: 20
+    }
+];
+
+// ===== ZONE RESOLVER CLASS =====
+class DeliveryZoneResolver {
+    constructor(zones = DELIVERY_ZONES) {
+        this.zones = zones;
+    }
+
+    getZone(id) {
+        return this.zones.find(zone => zone.id === id) || null;
+    }
+
+    // "Mesogeion 402, 153 42 Aghia Paraskevi" -> { zone, suburb, postcode }
+    // A postcode wins over a suburb name; null means we don't deliver there
+    resolve(address) {
+        const text = String(address || '');
+        const postcode = this.extractPostcode(text);
+
+        if (postcode) {
+            const zone = this.zones.find(candidate => candidate.postcodes.some(([from, to]) => postcode >= from && postcode <= to));
+            return zone ? { zone, suburb: this.findSuburb(text, zone) || zone.name, postcode } : null;
+        }
+
+        for (const zone of this.zones) {
+            const suburb = this.findSuburb(text, zone);
+            if (suburb) return { zone, suburb, postcode };
+        }
+
+        return null;
+    }
+
+    extractPostcode(text) {
+        const match = text.match(/\b(\d{3})\s?(\d{2})\b/);
+        return match ? parseInt(match[1] + match[2]) : null;
+    }
+
+    // The suburb's display name when any of its spellings appears in the text
+    findSuburb(text, zone) {
+        const normalized = this.normalize(text);
+        const suburb = zone.suburbs.find(candidate => [candidate.name, ...candidate.aliases]
+            .some(spelling => normalized.includes(this.normalize(spelling))));
+        return suburb ? suburb.name : null;
+    }
+
+    normalize(value) {
+        return String(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ');
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DELIVERY_ZONES, DeliveryZoneResolver };
+}
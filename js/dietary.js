@@ -0,0 +1,140 @@
+/*
+    FILE: dietary.js - Allergen and Dietary Checks
+    CONTENTS:
+    1. DietaryChecker class (tag lookups)
+    2. What a line item or side contains and which diets it suits
+    3. Guest needs checked against the menu
+
+    FEATURES:
+    - Allergens and diets read from the menu catalog, never guessed from names
+    - Each pizza line records the guest's needs (gluten-free, vegan, halal...)
+    - Conflicts name the part of the pizza that breaks a need
+    - One diet icon per order for the orders table
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== DIETARY CHECKER CLASS =====
+class DietaryChecker {
+    constructor(catalog = MENU_CATALOG, tags = DIETARY_TAGS) {
+        this.catalog = catalog;
+        this.tags = tags;
+    }
+
+    getTag(id) {
+        return this.tags[id] || null;
+    }
+
+    getTagIds(kind = null) {
+        return Object.keys(this.tags).filter(id => !kind || this.tags[id].kind === kind);
+    }
+
+    // Known tags only, once each, in the order of DIETARY_TAGS
+    normalize(list) {
+        const values = Array.isArray(list) ? list : [];
+        return this.getTagIds().filter(id => values.includes(id));
+    }
+
+    // ===== CONTENTS =====
+    // The parts that make up a pizza line; off-menu pizzas and toppings are unknown
+    getItemParts(item) {
+        const find = (list, match) => list.find(match) || null;
+        const pizza = find(this.catalog.pizzas, entry => entry.name.toLowerCase() === String(item.pizza).toLowerCase());
+        const crust = find(this.catalog.crusts, entry => entry.value === item.crust);
+
+        return [
+            { label: item.pizza, entry: pizza },
+            { label: `${crust ? crust.label : item.crust} crust`, entry: crust },
+            ...(item.toppings?.add || []).map(name => ({
+                label: name,
+                entry: find(this.catalog.toppings, entry => entry.name.toLowerCase() === String(name).toLowerCase())
+            }))
+        ];
+    }
+
+    getExtraEntry(extra) {
+        const list = extra.kind === 'drink' ? this.catalog.drinks : this.catalog.sides;
+        return list.find(entry => entry.name === extra.name) || null;
+    }
+
+    // Allergens contained and diets suited; unknown parts suit no diet and may contain anything
+    describeParts(parts) {
+        const known = parts.every(part => part.entry);
+        const contains = new Set(parts.flatMap(part => part.entry ? part.entry.contains : []));
+        const suitableFor = this.getTagIds('diet').filter(id => known && parts.every(part => part.entry.suitableFor.includes(id)));
+
+        return { contains: this.normalize([...contains]), suitableFor, known };
+    }
+
+    describeItem(item) {
+        return this.describeParts(this.getItemParts(item));
+    }
+
+    describeExtra(extra) {
+        const entry = this.getExtraEntry(extra);
+        return this.describeParts([{ label: extra.name, entry }]);
+    }
+
+    // ===== NEEDS =====
+    // Each broken need with the parts that break it
+    checkParts(parts, needs) {
+        return needs.reduce((conflicts, need) => {
+            const tag = this.getTag(need);
+            const sources = parts
+                .filter(part => !part.entry || (tag.kind === 'allergen'
+                    ? part.entry.contains.includes(need)
+                    : !part.entry.suitableFor.includes(need)))
+                .map(part => part.entry ? part.label : `${part.label} (not on the menu)`);
+
+            if (sources.length > 0) conflicts.push({ need, sources });
+            return conflicts;
+        }, []);
+    }
+
+    checkItem(item) {
+        const needs = this.normalize(item.dietary);
+        return { needs, conflicts: this.checkParts(this.getItemParts(item), needs) };
+    }
+
+    // Sides and drinks share the order, so any pizza's allergy need applies to them too
+    checkOrder(order) {
+        const lines = (order.items || []).map((item, index) => ({ index, item, ...this.checkItem(item) }));
+        const needs = this.normalize(lines.flatMap(line => line.needs));
+        const allergies = needs.filter(need => this.getTag(need).kind === 'allergen');
+
+        const extras = (order.extras || []).map(extra => ({
+            extra,
+            conflicts: this.checkParts([{ label: extra.name, entry: this.getExtraEntry(extra) }], allergies)
+        })).filter(line => line.conflicts.length > 0);
+
+        return {
+            needs,
+            allergies,
+            lines,
+            extras,
+            conflictCount: lines.reduce((count, line) => count + line.conflicts.length, 0) +
+                extras.reduce((count, line) => count + line.conflicts.length, 0)
+        };
+    }
+
+    // Worth a warning in the kitchen: an allergy on any line, or a need the order breaks
+    needsWarning(check) {
+        return check.allergies.length > 0 || check.conflictCount > 0;
+    }
+
+    // The strictest diet every pizza in the order suits, for the order's icon
+    getOrderDiet(order) {
+        const items = order.items || [];
+        if (items.length === 0) return null;
+
+        const descriptions = items.map(item => this.describeItem(item));
+        return this.getTagIds('diet').find(id => descriptions.every(description => description.suitableFor.includes(id))) || null;
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DietaryChecker;
+}
@@ -0,0 +1,217 @@
+/*
+    FILE: dispatch.js - Driver Dispatch and Route Batching
+    CONTENTS:
+    1. Dispatch configuration (batch size, zone adjacency)
+    2. DispatchPlanner class (driver roster, batching, assignment)
+    3. Driver statistics for analytics
+
+    FEATURES:
+    - Drivers registered per browser and shared by the orders and analytics pages
+    - Ready orders for neighbouring zones batched into one run
+    - Driver, run, departure and return times stored on each order
+    - Deliveries, run length and on-time rate per driver
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== DISPATCH CONFIGURATION =====
+// Override per browser, e.g. to allow bigger runs:
+// localStorage.setItem('tomypizza-dispatch', '{"maxBatchSize":4}')
+const DISPATCH_DEFAULTS = {
+    driversKey: 'pizzaDrivers',
+    maxBatchSize: 3,
+    // Zones one driver can cover in a single run; listing a pair once is enough
+    zoneAdjacency: {
+        'zone-1': ['zone-2'],
+        'zone-2': ['zone-3'],
+        'zone-3': ['zone-4'],
+        'zone-4': [],
+        'zone-5': []
+    }
+};
+
+// ===== DISPATCH PLANNER CLASS =====
+class DispatchPlanner {
+    constructor(config = DISPATCH_DEFAULTS, statusMachine = new OrderStatusMachine()) {
+        this.config = config;
+        this.statusMachine = statusMachine;
+    }
+
+    static fromConfig(overrides = {}) {
+        let storedConfig = {};
+        try {
+            storedConfig = JSON.parse(localStorage.getItem('tomypizza-dispatch')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid dispatch configuration:', error);
+        }
+
+        return new DispatchPlanner({ ...DISPATCH_DEFAULTS, ...storedConfig, ...overrides });
+    }
+
+    // ===== DRIVER ROSTER =====
+    getDrivers() {
+        try {
+            const drivers = JSON.parse(localStorage.getItem(this.config.driversKey));
+            return Array.isArray(drivers) ? drivers : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable driver list:', error);
+            return [];
+        }
+    }
+
+    getDriver(driverId) {
+        return this.getDrivers().find(driver => driver.id === driverId) || null;
+    }
+
+    addDriver(name, phone = '') {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('Driver name is required');
+        }
+
+        const drivers = this.getDrivers();
+        if (drivers.some(driver => driver.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A driver called "${trimmed}" is already registered`);
+        }
+
+        const driver = { id: `driver-${Date.now()}`, name: trimmed, phone: phone.trim() };
+        localStorage.setItem(this.config.driversKey, JSON.stringify([...drivers, driver]));
+        return driver;
+    }
+
+    // Past runs keep the driver's name on each order, so removal never touches orders
+    removeDriver(driverId) {
+        const drivers = this.getDrivers().filter(driver => driver.id !== driverId);
+        localStorage.setItem(this.config.driversKey, JSON.stringify(drivers));
+    }
+
+    // ===== BATCHING =====
+    // Ready means the kitchen is done and the next step is the road
+    isReady(order) {
+        return this.statusMachine.canTransition(order.status, 'out-for-delivery');
+    }
+
+    areAdjacent(zoneA, zoneB) {
+        if (!zoneA || !zoneB) return false;
+        if (zoneA === zoneB) return true;
+
+        const adjacency = this.config.zoneAdjacency;
+        return (adjacency[zoneA] || []).includes(zoneB) || (adjacency[zoneB] || []).includes(zoneA);
+    }
+
+    // Earliest-due first; each batch only takes orders next to every zone already in it
+    planBatches(orders) {
+        const ready = orders
+            .filter(order => this.isReady(order))
+            .sort((a, b) => new Date(a.due) - new Date(b.due));
+        const batched = new Set();
+        const batches = [];
+
+        ready.forEach(seed => {
+            if (batched.has(seed.id)) return;
+
+            const batch = [seed];
+            batched.add(seed.id);
+
+            ready.forEach(candidate => {
+                if (batch.length >= this.config.maxBatchSize || batched.has(candidate.id)) return;
+                if (batch.every(order => this.areAdjacent(order.zone, candidate.zone))) {
+                    batch.push(candidate);
+                    batched.add(candidate.id);
+                }
+            });
+
+            batches.push({
+                orders: batch,
+                zones: [...new Set(batch.map(order => order.zone).filter(Boolean))],
+                due: batch[0].due
+            });
+        });
+
+        return batches;
+    }
+
+    // ===== ASSIGNMENT =====
+    assign(order, driver, runId, at = new Date().toISOString()) {
+        return {
+            ...this.statusMachine.transition(order, 'out-for-delivery', at),
+            dispatch: { driverId: driver.id, driverName: driver.name, runId, departedAt: at, returnedAt: null }
+        };
+    }
+
+    markReturned(order, at = new Date().toISOString()) {
+        return { ...order, dispatch: { ...order.dispatch, returnedAt: at } };
+    }
+
+    // Runs whose driver hasn't come back yet
+    getActiveRuns(orders) {
+        const runs = new Map();
+
+        orders.forEach(order => {
+            if (!order.dispatch || order.dispatch.returnedAt) return;
+
+            const { runId, driverId, driverName, departedAt } = order.dispatch;
+            if (!runs.has(runId)) {
+                runs.set(runId, { runId, driverId, driverName, departedAt, orders: [] });
+            }
+            runs.get(runId).orders.push(order);
+        });
+
+        return [...runs.values()];
+    }
+
+    getAvailableDrivers(orders) {
+        const busy = new Set(this.getActiveRuns(orders).map(run => run.driverId));
+        return this.getDrivers().filter(driver => !busy.has(driver.id));
+    }
+
+    // ===== DRIVER STATISTICS =====
+    getDriverStats(orders) {
+        const stats = new Map();
+        const average = values => values.length > 0
+            ? values.reduce((sum, value) => sum + value, 0) / values.length
+            : null;
+
+        orders.forEach(order => {
+            if (!order.dispatch) return;
+
+            const { driverId, driverName, runId, departedAt, returnedAt } = order.dispatch;
+            if (!stats.has(driverId)) {
+                stats.set(driverId, { driverId, name: driverName, runs: new Map(), deliveryMinutes: [], onTime: 0, deliveries: 0 });
+            }
+
+            const driver = stats.get(driverId);
+            driver.runs.set(runId, returnedAt ? (new Date(returnedAt) - new Date(departedAt)) / 60000 : null);
+
+            const deliveredAt = this.statusMachine.getStatusTime(order, 'delivered');
+            if (deliveredAt) {
+                driver.deliveries++;
+                driver.deliveryMinutes.push((new Date(deliveredAt) - new Date(departedAt)) / 60000);
+                if (new Date(deliveredAt) <= new Date(order.due)) driver.onTime++;
+            }
+        });
+
+        // Current roster names win over the names recorded at dispatch time
+        const drivers = new Map(this.getDrivers().map(driver => [driver.id, driver]));
+
+        return [...stats.values()].map(driver => {
+            const runMinutes = [...driver.runs.values()].filter(minutes => minutes !== null);
+            return {
+                driverId: driver.driverId,
+                name: drivers.get(driver.driverId)?.name || driver.name,
+                runs: driver.runs.size,
+                deliveries: driver.deliveries,
+                avgDeliveryMinutes: average(driver.deliveryMinutes),
+                avgRunMinutes: average(runMinutes),
+                onTimeRate: driver.deliveries > 0 ? driver.onTime / driver.deliveries : null
+            };
+        }).sort((a, b) => b.deliveries - a.deliveries);
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DISPATCH_DEFAULTS, DispatchPlanner };
+}
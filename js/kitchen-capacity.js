@@ -0,0 +1,243 @@
+/*
+    FILE: kitchen-capacity.js - Oven Capacity Planner and Delivery ETAs
+    CONTENTS:
+    1. Capacity configuration (ovens, bake and prep times, drivers)
+    2. CapacityPlanner class (work needed per order)
+    3. Queue simulation through prep, oven and delivery
+    4. Promised time for a new order
+
+    FEATURES:
+    - Every active order is walked through prep stations, oven places and drivers
+    - Orders already prepping, baking or on the road only count their remaining time
+    - Orders ready before a driver leaves share the run, as dispatch batches them
+    - New orders queue behind the orders already in the kitchen
+    - Pre-orders are started just in time for their slot instead of straight away
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== CAPACITY CONFIGURATION =====
+// Override per browser, e.g. for a third oven:
+// localStorage.setItem('tomypizza-capacity', '{"ovens":3}')
+const CAPACITY_DEFAULTS = {
+    ovens: 2,
+    pizzasPerOven: 6,
+    bakeMinutes: { small: 7, medium: 9, large: 11, family: 13 },
+    // Per pizza, per added topping and per side or drink
+    prepMinutes: { pizza: 3, topping: 0.5, extra: 1 },
+    prepStations: 2,
+    qualityCheckMinutes: 2,
+    // Used when no drivers are registered in the dispatch roster
+    drivers: 3,
+    // One-way drive to the nearest zone; farther zones add their ETA offset
+    travelMinutes: 12,
+    // Each extra drop on a shared run
+    stopMinutes: 3,
+    roundToMinutes: 5
+};
+
+// Kitchen stages, furthest along first; those orders are finished first
+const KITCHEN_STAGES = ['quality-check', 'in-oven', 'prepping', 'received'];
+
+// ===== CAPACITY PLANNER CLASS =====
+class CapacityPlanner {
+    constructor(config = CAPACITY_DEFAULTS, zones = new DeliveryZoneResolver(), dispatch = DispatchPlanner.fromConfig(),
+        statusMachine = new OrderStatusMachine()) {
+        this.config = config;
+        this.zones = zones;
+        this.dispatch = dispatch;
+        this.statusMachine = statusMachine;
+    }
+
+    static fromConfig(overrides = {}) {
+        let storedConfig = {};
+        try {
+            storedConfig = JSON.parse(localStorage.getItem('tomypizza-capacity')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid capacity configuration:', error);
+        }
+
+        return new CapacityPlanner({ ...CAPACITY_DEFAULTS, ...storedConfig, ...overrides });
+    }
+
+    // ===== WORK PER ORDER =====
+    getPrepMinutes(order) {
+        const { pizza, topping, extra } = this.config.prepMinutes;
+        const pizzas = (order.items || []).reduce((minutes, item) =>
+            minutes + item.quantity * (pizza + (item.toppings?.add?.length || 0) * topping), 0);
+        const extras = (order.extras || []).reduce((minutes, item) => minutes + (item.quantity || 1) * extra, 0);
+        return pizzas + extras;
+    }
+
+    // One bake per pizza, each taking an oven place for its size's bake time
+    getBakeMinutes(order) {
+        const { bakeMinutes } = this.config;
+        return (order.items || []).flatMap(item =>
+            Array(item.quantity).fill(bakeMinutes[item.size] || bakeMinutes.medium));
+    }
+
+    // The registered roster is the real driver count; the configured number covers an empty roster
+    getDriverCount() {
+        return this.dispatch.getDrivers().length || this.config.drivers;
+    }
+
+    getTravelMinutes(order) {
+        const zone = order.zone ? this.zones.getZone(order.zone) : null;
+        return this.config.travelMinutes + (zone ? zone.etaOffset : 0);
+    }
+
+    // Everything from the first topping to the doorstep, with nobody else in the queue
+    getLeadMinutes(order) {
+        return this.getPrepMinutes(order) + Math.max(0, ...this.getBakeMinutes(order)) +
+            this.config.qualityCheckMinutes + this.getTravelMinutes(order);
+    }
+
+    // Walk-in orders are cooked first come, first served; pre-orders wait until their start time
+    getStartAfter(order) {
+        return order.schedule
+            ? new Date(order.due).getTime() - this.getLeadMinutes(order) * 60000
+            : new Date(order.created).getTime();
+    }
+
+    // ===== QUEUE SIMULATION =====
+    // Ready and delivery estimates for every active order, by order id
+    plan(orders, now = new Date()) {
+        const at = now.getTime();
+        const toMs = minutes => minutes * 60000;
+        const elapsed = (order, status) => {
+            const since = this.statusMachine.getStatusTime(order, status);
+            return since ? (at - new Date(since).getTime()) / 60000 : 0;
+        };
+
+        // Each resource is the time it is next free; work goes to whichever frees up first
+        const prepStations = Array(this.config.prepStations).fill(at);
+        const ovenPlaces = Array(this.config.ovens * this.config.pizzasPerOven).fill(at);
+        const driversFree = Array(Math.max(1, this.getDriverCount())).fill(at);
+        const book = (resources, from, duration) => {
+            const index = resources.indexOf(Math.min(...resources));
+            const start = Math.max(from, resources[index]);
+            resources[index] = start + duration;
+            return start;
+        };
+
+        const estimates = new Map();
+        const addEstimate = (order, readyAt, deliverAt) => {
+            const minutesLate = (deliverAt - new Date(order.due).getTime()) / 60000;
+            estimates.set(order.id, {
+                readyAt: new Date(readyAt),
+                deliverAt: new Date(deliverAt),
+                minutesLate,
+                late: minutesLate > 0
+            });
+        };
+
+        // Drivers out on a run are back after the round trip of its farthest stop
+        const runs = new Map();
+        orders.filter(order => order.status === 'out-for-delivery').forEach(order => {
+            const departed = new Date(order.dispatch?.departedAt || this.statusMachine.getStatusTime(order, 'out-for-delivery') || now).getTime();
+            const travel = toMs(this.getTravelMinutes(order));
+            const runId = order.dispatch?.runId || order.id;
+            runs.set(runId, Math.max(runs.get(runId) || at, departed + 2 * travel));
+            addEstimate(order, departed, Math.max(at, departed + travel));
+        });
+        [...runs.values()].forEach(backAt => book(driversFree, backAt, 0));
+
+        // An order ready before a planned run leaves rides along if dispatch would batch it
+        const trips = [];
+        const deliver = (order, readyAt) => {
+            const travel = toMs(this.getTravelMinutes(order));
+            const trip = trips.find(candidate => candidate.departAt >= readyAt &&
+                candidate.orders.length < this.dispatch.config.maxBatchSize &&
+                candidate.orders.every(other => this.dispatch.areAdjacent(other.zone, order.zone)));
+
+            if (trip) {
+                trip.orders.push(order);
+                const stops = toMs(this.config.stopMinutes * (trip.orders.length - 1));
+                driversFree[trip.driver] = Math.max(driversFree[trip.driver], trip.departAt + 2 * travel + stops);
+                return trip.departAt + travel + stops;
+            }
+
+            const driver = driversFree.indexOf(Math.min(...driversFree));
+            const departAt = book(driversFree, readyAt, 2 * travel);
+            trips.push({ departAt, driver, orders: [order] });
+            return departAt + travel;
+        };
+
+        const queue = orders
+            .filter(order => KITCHEN_STAGES.includes(order.status))
+            .map(order => ({ order, startAfter: this.getStartAfter(order) }))
+            .sort((a, b) => KITCHEN_STAGES.indexOf(a.order.status) - KITCHEN_STAGES.indexOf(b.order.status) ||
+                a.startAfter - b.startAfter ||
+                new Date(a.order.due) - new Date(b.order.due));
+
+        queue.forEach(({ order, startAfter }) => {
+            const bakes = this.getBakeMinutes(order);
+            let readyAt;
+
+            if (order.status === 'quality-check') {
+                readyAt = at + toMs(Math.max(0, this.config.qualityCheckMinutes - elapsed(order, 'quality-check')));
+            } else {
+                let bakedAt;
+                if (order.status === 'in-oven') {
+                    // Its pizzas already hold oven places until they come out
+                    const inOvenFor = elapsed(order, 'in-oven');
+                    bakedAt = bakes.reduce((latest, bake) => {
+                        const remaining = toMs(Math.max(0, bake - inOvenFor));
+                        book(ovenPlaces, at, remaining);
+                        return Math.max(latest, at + remaining);
+                    }, at);
+                } else {
+                    const prep = order.status === 'prepping'
+                        ? Math.max(0, this.getPrepMinutes(order) - elapsed(order, 'prepping'))
+                        : this.getPrepMinutes(order);
+                    const preppedAt = book(prepStations, Math.max(at, startAfter), toMs(prep)) + toMs(prep);
+                    bakedAt = bakes.reduce((latest, bake) =>
+                        Math.max(latest, book(ovenPlaces, preppedAt, toMs(bake)) + toMs(bake)), preppedAt);
+                }
+                readyAt = bakedAt + toMs(this.config.qualityCheckMinutes);
+            }
+
+            addEstimate(order, readyAt, deliver(order, readyAt));
+        });
+
+        return estimates;
+    }
+
+    // ===== PROMISED TIME =====
+    // The earliest delivery for an order not yet placed, queued behind everything already in the kitchen
+    estimate(orders, draft, now = new Date()) {
+        const order = {
+            id: 'draft',
+            status: 'received',
+            created: now.toISOString(),
+            statusHistory: [],
+            // An empty form is estimated as one medium pizza
+            items: draft.items?.length > 0 ? draft.items : [{ size: 'medium', quantity: 1 }],
+            extras: draft.extras || [],
+            zone: draft.zone || null,
+            due: draft.due || now.toISOString(),
+            schedule: draft.schedule || null
+        };
+        const estimate = this.plan([...orders, order], now).get('draft');
+
+        return {
+            ...estimate,
+            promisedAt: this.roundUp(estimate.deliverAt),
+            // Pre-orders that aren't due to start yet don't count as ahead in the queue
+            queued: orders.filter(other => KITCHEN_STAGES.includes(other.status) &&
+                this.getStartAfter(other) <= now.getTime()).length
+        };
+    }
+
+    roundUp(date) {
+        const step = this.config.roundToMinutes * 60000;
+        return new Date(Math.ceil(date.getTime() / step) * step);
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CAPACITY_DEFAULTS, CapacityPlanner };
+}
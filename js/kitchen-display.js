@@ -0,0 +1,318 @@
+/*
+    FILE: kitchen-display.js - Kitchen Display Mode
+    CONTENTS:
+    1. KitchenDisplay class (full-screen overlay on the orders page)
+    2. Ticket rendering grouped by lifecycle column
+    3. Bump actions and bump-bar keyboard shortcuts
+    4. Live ticket timers while open
+
+    FEATURES:
+    - One column per in-progress status, oldest delivery time first
+    - Tickets coloured by the same timer states as the orders table
+    - Number keys pick a ticket, Enter/Space bumps it to the next stage
+    - Backspace recalls the last bump made on the display, and nothing else
+    - Allergy and diet warnings at the top of the ticket and on each pizza
+    - Pre-orders appear only once it is time to start them
+    - Opens straight away on the kitchen tablet with tasks.html#kitchen
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== KITCHEN DISPLAY CLASS =====
+class KitchenDisplay {
+    constructor(taskManager) {
+        this.manager = taskManager;
+        this.container = null;
+        this.isOpen = false;
+        this.selectedId = null;
+        // { id, from, to } of the last bump made here, so a recall can't touch counter edits
+        this.lastBump = null;
+        this.unsubscribeTimer = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    // Active statuses the kitchen still works on, in flow order;
+    // quality-checked tickets wait here until the dispatch panel sends them out with a driver
+    getColumns() {
+        const statusMachine = this.manager.statusMachine;
+        return statusMachine.getStatuses()
+            .filter(status => statusMachine.isActive(status) && status !== 'out-for-delivery');
+    }
+
+    // ===== OPEN / CLOSE =====
+    open() {
+        if (this.isOpen) return;
+
+        if (!this.container) {
+            this.container = this.createContainer();
+            document.body.appendChild(this.container);
+        }
+
+        this.isOpen = true;
+        this.container.hidden = false;
+        document.body.classList.add('kitchen-display-open');
+        document.addEventListener('keydown', this.handleKeydown);
+
+        // Timers tick with the orders table; tickets only re-render when orders change
+        this.unsubscribeTimer = this.manager.timers.subscribe(now => this.updateTimers(now));
+
+        if (location.hash !== '#kitchen') {
+            history.replaceState(null, '', '#kitchen');
+        }
+
+        this.container.requestFullscreen?.().catch(() => {
+            // Full screen needs a user gesture; the overlay already covers the page
+        });
+
+        this.render();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.container.hidden = true;
+        document.body.classList.remove('kitchen-display-open');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.unsubscribeTimer();
+
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        }
+        if (location.hash === '#kitchen') {
+            history.replaceState(null, '', location.pathname + location.search);
+        }
+    }
+
+    createContainer() {
+        const container = document.createElement('section');
+        container.id = 'kitchen-display';
+        container.className = 'kitchen-display';
+        container.setAttribute('aria-label', 'Kitchen display');
+        container.hidden = true;
+
+        container.innerHTML = `
+            <header class="kitchen-display-header">
+                <h2 class="h4 mb-0"><i class="fas fa-fire me-2" aria-hidden="true"></i>Kitchen Display</h2>
+                <p class="kitchen-display-help mb-0">
+                    <kbd>1</kbd>–<kbd>9</kbd> select · <kbd>←</kbd><kbd>→</kbd> move ·
+                    <kbd>Enter</kbd> bump · <kbd>Backspace</kbd> recall · <kbd>Esc</kbd> exit
+                </p>
+                <button type="button" class="btn btn-outline-light btn-sm" data-kitchen-action="close">
+                    <i class="fas fa-times me-1" aria-hidden="true"></i>Exit
+                </button>
+            </header>
+            <div class="kitchen-display-columns" id="kitchen-columns"></div>
+        `;
+
+        container.addEventListener('click', event => {
+            const button = event.target.closest('[data-kitchen-action]');
+            if (button) {
+                if (button.dataset.kitchenAction === 'close') {
+                    this.close();
+                } else if (button.dataset.kitchenAction === 'bump') {
+                    this.bump(parseInt(button.dataset.id));
+                }
+                return;
+            }
+
+            const ticket = event.target.closest('.kitchen-ticket');
+            if (ticket) this.select(parseInt(ticket.dataset.id));
+        });
+
+        return container;
+    }
+
+    // ===== RENDERING =====
+    // Tickets in on-screen order, which is also their shortcut number
+    getTickets() {
+        const tickets = [];
+        this.getColumns().forEach(status => {
+            this.manager.tasks
+                .filter(task => task.status === status && this.manager.scheduler.isReleasedToKitchen(task))
+                .sort((a, b) => new Date(a.due) - new Date(b.due))
+                .forEach(task => tickets.push(task));
+        });
+        return tickets;
+    }
+
+    render() {
+        if (!this.isOpen) return;
+
+        const tickets = this.getTickets();
+        if (!tickets.some(task => task.id === this.selectedId)) {
+            this.selectedId = tickets.length > 0 ? tickets[0].id : null;
+        }
+
+        const statusMachine = this.manager.statusMachine;
+        this.container.querySelector('#kitchen-columns').innerHTML = this.getColumns().map(status => {
+            const info = statusMachine.getInfo(status);
+            const columnTickets = tickets.filter(task => task.status === status);
+
+            return `
+                <div class="kitchen-column">
+                    <h3 class="kitchen-column-title">
+                        <i class="fas ${info.icon} me-2" aria-hidden="true"></i>${info.label}
+                        <span class="badge bg-light text-dark ms-2">${columnTickets.length}</span>
+                    </h3>
+                    <div class="kitchen-column-tickets">
+                        ${columnTickets.map(task => this.createTicket(task, tickets.indexOf(task) + 1)).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    getElapsedText(task, now = new Date()) {
+        return `${Math.max(0, Math.floor((now - new Date(task.created)) / 60000))}m since order`;
+    }
+
+    createTicket(task, number) {
+        const manager = this.manager;
+        const timer = manager.getTimerState(task);
+        const next = manager.getAdvanceStatus(task.status);
+        const priority = manager.getPriorityInfo(task.priority);
+        const dietaryCheck = manager.dietary.checkOrder(task);
+
+        const items = task.items.map(item => {
+            const modifiers = [
+                ...item.toppings.add.map(topping => `+ ${manager.escapeHTML(topping)}`),
+                ...item.toppings.remove.map(topping => `− ${manager.escapeHTML(topping)}`)
+            ];
+
+            return `
+                <li>
+                    <strong>${item.quantity}×</strong> ${manager.escapeHTML(manager.getSizeLabel(item.size))}
+                    ${manager.escapeHTML(item.pizza)}
+                    <span class="kitchen-ticket-crust">${manager.getCrustLabel(item.crust)}</span>
+                    ${modifiers.length ? `<div class="kitchen-ticket-modifiers">${modifiers.join(', ')}</div>` : ''}
+                    ${item.dietary.length ? `<div class="kitchen-ticket-needs">${item.dietary.map(id => manager.dietary.getTag(id).needLabel).join(' · ')}</div>` : ''}
+                    ${item.notes ? `<div class="kitchen-ticket-notes">${manager.escapeHTML(item.notes)}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        const extras = (task.extras || []).map(extra => manager.escapeHTML(manager.describeExtra(extra))).join(', ');
+
+        return `
+            <article class="kitchen-ticket kitchen-ticket-${timer.state}${task.id === this.selectedId ? ' is-selected' : ''}${manager.dietary.needsWarning(dietaryCheck) ? ' kitchen-ticket-allergy' : ''}"
+                     data-id="${task.id}" aria-label="Ticket ${number}: order ${task.id}">
+                <header class="kitchen-ticket-header">
+                    <span class="kitchen-ticket-number">${number <= 9 ? number : ''}</span>
+                    <span class="fw-bold">#${String(task.id).slice(-4)}</span>
+                    <span class="badge ${priority.class}">${priority.text}</span>
+                    <span class="kitchen-ticket-timer ms-auto">${timer.text}</span>
+                </header>
+                ${manager.createAllergyWarning(dietaryCheck)}
+                <ul class="kitchen-ticket-items">${items}</ul>
+                ${extras ? `<p class="kitchen-ticket-extras">${extras}</p>` : ''}
+                ${task.description ? `<p class="kitchen-ticket-notes">${manager.escapeHTML(task.description)}</p>` : ''}
+                <footer class="kitchen-ticket-footer">
+                    <small><span class="kitchen-ticket-elapsed">${this.getElapsedText(task)}</span> · ${manager.escapeHTML(task.location || '')}</small>
+                    ${next ? `
+                        <button type="button" class="btn btn-light btn-sm" data-kitchen-action="bump" data-id="${task.id}">
+                            ${manager.statusMachine.getInfo(next).label}
+                            <i class="fas fa-arrow-right ms-1" aria-hidden="true"></i>
+                        </button>
+                    ` : '<span class="small">Waiting for dispatch</span>'}
+                </footer>
+            </article>
+        `;
+    }
+
+    // Per-second update of timer text and colour on the tickets already shown
+    updateTimers(now) {
+        const tasksById = new Map(this.manager.tasks.map(task => [task.id, task]));
+
+        this.container.querySelectorAll('.kitchen-ticket').forEach(ticket => {
+            const task = tasksById.get(parseInt(ticket.dataset.id));
+            if (!task) return;
+
+            const timer = this.manager.getTimerState(task, now);
+            const timerElement = ticket.querySelector('.kitchen-ticket-timer');
+            if (timerElement.textContent !== timer.text) timerElement.textContent = timer.text;
+
+            const elapsedElement = ticket.querySelector('.kitchen-ticket-elapsed');
+            const elapsed = this.getElapsedText(task, now);
+            if (elapsedElement.textContent !== elapsed) elapsedElement.textContent = elapsed;
+
+            ['on-time', 'due-soon', 'overdue'].forEach(state => {
+                ticket.classList.toggle(`kitchen-ticket-${state}`, timer.state === state);
+            });
+        });
+    }
+
+    // ===== ACTIONS =====
+    select(taskId) {
+        this.selectedId = taskId;
+        this.render();
+    }
+
+    bump(taskId) {
+        const task = this.manager.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const next = this.manager.getAdvanceStatus(task.status);
+        if (next && this.manager.requirePermission('status', next)) {
+            // setOrderStatus re-renders the table and, through loadTasks, this display
+            this.manager.setOrderStatus(taskId, next);
+            this.lastBump = { id: taskId, from: task.status, to: next };
+        }
+    }
+
+    // Moves the last bumped ticket back one stage, unless someone has moved it on since
+    recall() {
+        const bump = this.lastBump;
+        const task = bump && this.manager.tasks.find(t => t.id === bump.id);
+        if (!task || task.status !== bump.to) {
+            this.manager.showNotification('Nothing to recall', 'info');
+            return;
+        }
+
+        if (this.manager.requirePermission('status', bump.from)) {
+            this.lastBump = null;
+            this.manager.setOrderStatus(task.id, bump.from);
+        }
+    }
+
+    moveSelection(step) {
+        const tickets = this.getTickets();
+        if (tickets.length === 0) return;
+
+        const index = tickets.findIndex(task => task.id === this.selectedId);
+        const nextIndex = Math.min(tickets.length - 1, Math.max(0, index + step));
+        this.select(tickets[nextIndex].id);
+    }
+
+    // ===== BUMP BAR SHORTCUTS =====
+    // Bump bars send plain key presses, so no modifier keys are needed
+    handleKeydown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        if (/^[1-9]$/.test(event.key)) {
+            const ticket = this.getTickets()[parseInt(event.key) - 1];
+            if (ticket) this.select(ticket.id);
+        } else if (event.key === 'ArrowRight' || event.key === 'ArrowDown') {
+            this.moveSelection(1);
+        } else if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') {
+            this.moveSelection(-1);
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            if (this.selectedId !== null) this.bump(this.selectedId);
+        } else if (event.key === 'Backspace') {
+            this.recall();
+        } else if (event.key === 'Escape') {
+            this.close();
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KitchenDisplay;
+}
@@ -0,0 +1,234 @@
+/*
+    FILE: menu.js - Menu Catalog and Pricing Engine
+    CONTENTS:
+    1. Allergen and dietary tags
+    2. Menu catalog (pizzas, sizes, crusts, toppings, sides, drinks)
+    3. Greek VAT rates and delivery fee rules
+    4. PricingEngine class for line and order totals
+    5. Currency helpers
+
+    FEATURES:
+    - Base prices with size multipliers
+    - Crust and topping surcharges
+    - VAT-inclusive menu prices with 13% / 24% breakdown
+    - Per-zone delivery fee with free delivery threshold
+    - Allergens and suitable diets recorded on every menu item
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== ALLERGEN AND DIETARY TAGS =====
+// Allergens are what an item contains; diets are what it is suitable for.
+// On an order line the same ids record what the guest needs: free of the allergen, or fit for the diet.
+const DIETARY_TAGS = {
+    gluten: { kind: 'allergen', label: 'Gluten', needLabel: 'Gluten-free', icon: 'fa-wheat-awn-circle-exclamation', short: 'G' },
+    lactose: { kind: 'allergen', label: 'Lactose', needLabel: 'Lactose-free', icon: 'fa-cow', short: 'L' },
+    nuts: { kind: 'allergen', label: 'Nuts', needLabel: 'Nut-free', icon: 'fa-circle-exclamation', short: 'N' },
+    vegan: { kind: 'diet', label: 'Vegan', needLabel: 'Vegan', icon: 'fa-seedling', short: 'VG' },
+    vegetarian: { kind: 'diet', label: 'Vegetarian', needLabel: 'Vegetarian', icon: 'fa-leaf', short: 'V' },
+    halal: { kind: 'diet', label: 'Halal', needLabel: 'Halal', icon: 'fa-star-and-crescent', short: 'H' }
+};
+
+// Shorthands for the suitableFor lists below
+const DIETS_PLANT_BASED = ['vegan', 'vegetarian', 'halal'];
+const DIETS_MEAT_FREE = ['vegetarian', 'halal'];
+
+// ===== MENU CATALOG =====
+// Prices are in euro and include VAT, as printed on the menu.
+// A pizza's allergens are its topping and sauce; the dough comes from the crust.
+const MENU_CATALOG = {
+    pizzas: [
+        { name: 'Margherita', basePrice: 8.50, contains: ['lactose'], suitableFor: DIETS_MEAT_FREE },
+        { name: 'Pepperoni', basePrice: 10.50, contains: ['lactose'], suitableFor: [] },
+        { name: 'BBQ Chicken', basePrice: 11.50, contains: ['lactose'], suitableFor: [] },
+        { name: 'Veggie Supreme', basePrice: 10.00, contains: ['lactose'], suitableFor: DIETS_MEAT_FREE },
+        { name: 'Hawaiian', basePrice: 10.50, contains: ['lactose'], suitableFor: [] },
+        { name: 'Meat Lovers', basePrice: 12.50, contains: ['lactose'], suitableFor: [] },
+        { name: 'Four Cheese', basePrice: 11.00, contains: ['lactose'], suitableFor: DIETS_MEAT_FREE },
+        { name: 'Greek Style', basePrice: 11.00, contains: ['lactose'], suitableFor: DIETS_MEAT_FREE }
+    ],
+    sizes: [
+        { value: 'small', label: 'Small', multiplier: 0.8 },
+        { value: 'medium', label: 'Medium', multiplier: 1 },
+        { value: 'large', label: 'Large', multiplier: 1.3 },
+        { value: 'family', label: 'Family Size', multiplier: 1.7 }
+    ],
+    crusts: [
+        { value: 'classic', label: 'Classic', price: 0, contains: ['gluten'], suitableFor: DIETS_PLANT_BASED },
+        { value: 'thin', label: 'Thin', price: 0, contains: ['gluten'], suitableFor: DIETS_PLANT_BASED },
+        { value: 'stuffed', label: 'Stuffed', price: 2.00, contains: ['gluten', 'lactose'], suitableFor: DIETS_MEAT_FREE },
+        { value: 'gluten-free', label: 'Gluten-Free', price: 2.50, contains: [], suitableFor: DIETS_PLANT_BASED }
+    ],
+    toppings: [
+        { name: 'Extra Cheese', price: 1.20, contains: ['lactose'], suitableFor: DIETS_MEAT_FREE },
+        { name: 'Pepperoni', price: 1.50, contains: [], suitableFor: [] },
+        { name: 'Ham', price: 1.50, contains: [], suitableFor: [] },
+        { name: 'Bacon', price: 1.50, contains: [], suitableFor: [] },
+        { name: 'Chicken', price: 1.80, contains: [], suitableFor: [] },
+        { name: 'Mushrooms', price: 1.00, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Onions', price: 0.80, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Peppers', price: 0.80, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Black Olives', price: 1.00, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Kalamata Olives', price: 1.20, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Feta', price: 1.50, contains: ['lactose'], suitableFor: DIETS_MEAT_FREE },
+        { name: 'Pineapple', price: 1.00, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Basil', price: 0.50, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Jalapeños', price: 0.80, contains: [], suitableFor: DIETS_PLANT_BASED }
+    ],
+    sides: [
+        { name: 'Garlic Bread', price: 3.50, contains: ['gluten', 'lactose'], suitableFor: DIETS_MEAT_FREE },
+        { name: 'Greek Salad', price: 6.50, contains: ['lactose'], suitableFor: DIETS_MEAT_FREE },
+        { name: 'Chicken Wings', price: 6.90, contains: [], suitableFor: [] },
+        { name: 'Potato Wedges', price: 3.90, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Chocolate Soufflé', price: 4.50, contains: ['gluten', 'lactose', 'nuts'], suitableFor: DIETS_MEAT_FREE }
+    ],
+    drinks: [
+        { name: 'Coca-Cola 330ml', price: 1.80, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Coca-Cola 1.5L', price: 3.20, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Sprite 330ml', price: 1.80, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Mineral Water 500ml', price: 0.80, contains: [], suitableFor: DIETS_PLANT_BASED },
+        { name: 'Mythos Beer 500ml', price: 3.50, contains: ['gluten'], suitableFor: ['vegan', 'vegetarian'] }
+    ],
+    // Size multipliers also scale topping surcharges
+    scaleToppingsBySize: true
+};
+
+// ===== VAT AND DELIVERY RULES =====
+// Greek VAT: 13% for prepared food, 24% standard rate for drinks and delivery
+const VAT_RATES = {
+    reduced: 0.13,
+    standard: 0.24
+};
+
+const DELIVERY_RULES = {
+    fee: 2.00,
+    freeOver: 30.00
+};
+
+// ===== PRICING ENGINE CLASS =====
+class PricingEngine {
+    constructor(catalog = MENU_CATALOG, zones = DELIVERY_ZONES) {
+        this.catalog = catalog;
+        this.zones = zones;
+    }
+
+    // ===== CATALOG LOOKUPS =====
+    findPizza(name) {
+        return this.catalog.pizzas.find(pizza => pizza.name.toLowerCase() === String(name).toLowerCase());
+    }
+
+    findSize(value) {
+        return this.catalog.sizes.find(size => size.value === value) || this.findSize('medium');
+    }
+
+    findCrust(value) {
+        return this.catalog.crusts.find(crust => crust.value === value) || this.catalog.crusts[0];
+    }
+
+    findTopping(name) {
+        return this.catalog.toppings.find(topping => topping.name.toLowerCase() === String(name).toLowerCase());
+    }
+
+    findExtra(kind, name) {
+        const list = kind === 'drink' ? this.catalog.drinks : this.catalog.sides;
+        return list.find(extra => extra.name === name);
+    }
+
+    // ===== LINE PRICING =====
+    priceItem(item) {
+        const size = this.findSize(item.size);
+        const pizza = this.findPizza(item.pizza);
+
+        // Off-menu pizzas (e.g. migrated free-text orders) are priced like a Margherita
+        const basePrice = pizza ? pizza.basePrice : this.catalog.pizzas[0].basePrice;
+        const toppingMultiplier = this.catalog.scaleToppingsBySize ? size.multiplier : 1;
+        const toppingsPrice = (item.toppings?.add || []).reduce((sum, name) => {
+            const topping = this.findTopping(name);
+            return sum + (topping ? topping.price : 0);
+        }, 0);
+
+        const unitPrice = roundCurrency(
+            basePrice * size.multiplier +
+            this.findCrust(item.crust).price +
+            toppingsPrice * toppingMultiplier
+        );
+
+        return {
+            unitPrice,
+            lineTotal: roundCurrency(unitPrice * item.quantity),
+            vatRate: VAT_RATES.reduced
+        };
+    }
+
+    priceExtra(extra) {
+        const match = this.findExtra(extra.kind, extra.name);
+        const unitPrice = match ? match.price : 0;
+
+        return {
+            unitPrice,
+            lineTotal: roundCurrency(unitPrice * extra.quantity),
+            vatRate: extra.kind === 'drink' ? VAT_RATES.standard : VAT_RATES.reduced
+        };
+    }
+
+    // ===== ORDER TOTALS =====
+    // Line prices are kept with the totals, so a receipt printed after a menu change still adds up
+    priceOrder(order) {
+        const itemLines = (order.items || []).map(item => this.priceItem(item));
+        const extraLines = (order.extras || []).map(extra => this.priceExtra(extra));
+        const lines = [...itemLines, ...extraLines];
+
+        const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+        const fee = subtotal >= DELIVERY_RULES.freeOver ? 0 : this.getDeliveryFee(order);
+
+        // Menu prices include VAT, so extract the VAT share per rate
+        const vat = { reduced: 0, standard: 0 };
+        lines.forEach(line => {
+            const key = line.vatRate === VAT_RATES.standard ? 'standard' : 'reduced';
+            vat[key] += extractVat(line.lineTotal, line.vatRate);
+        });
+        vat.standard += extractVat(fee, VAT_RATES.standard);
+        vat.reduced = roundCurrency(vat.reduced);
+        vat.standard = roundCurrency(vat.standard);
+
+        return {
+            subtotal,
+            deliveryFee: roundCurrency(fee),
+            vat: {
+                ...vat,
+                total: roundCurrency(vat.reduced + vat.standard)
+            },
+            total: roundCurrency(subtotal + fee),
+            lines: {
+                items: itemLines.map(({ unitPrice, lineTotal }) => ({ unitPrice, lineTotal })),
+                extras: extraLines.map(({ unitPrice, lineTotal }) => ({ unitPrice, lineTotal }))
+            }
+        };
+    }
+
+    // Fee of the order's delivery zone; the flat fee covers orders from before zones existed
+    getDeliveryFee(order) {
+        const zone = this.zones.find(candidate => candidate.id === order.zone);
+        return zone ? zone.fee : DELIVERY_RULES.fee;
+    }
+}
+
+// ===== CURRENCY HELPERS =====
+function roundCurrency(amount) {
+    return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+function extractVat(grossAmount, rate) {
+    return grossAmount - grossAmount / (1 + rate);
+}
+
+function formatPrice(amount) {
+    return `€${(amount || 0).toFixed(2)}`;
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DIETARY_TAGS, MENU_CATALOG, VAT_RATES, DELIVERY_RULES, PricingEngine, roundCurrency, formatPrice };
+}
@@ -0,0 +1,156 @@
+/*
+    FILE: order-history.js - Undo/Redo History for Orders
+    CONTENTS:
+    1. OrderHistory class with undo and redo stacks
+    2. Change detection between order snapshots
+    3. Session storage persistence
+
+    FEATURES:
+    - Every add/edit/status/delete/clear is one undoable entry
+    - Redo stack cleared when a new change is recorded
+    - History survives page reloads for the current browser session
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== ORDER HISTORY CLASS =====
+class OrderHistory {
+    constructor(storageKey = 'pizzaOrderHistory', limit = 50) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.load();
+    }
+
+    // ===== RECORDING =====
+    // Orders are replaced rather than mutated, so a changed reference means a changed order
+    diff(beforeOrders, afterOrders) {
+        const beforeById = new Map(beforeOrders.map((order, index) => [order.id, { order, index }]));
+        const afterById = new Map(afterOrders.map((order, index) => [order.id, { order, index }]));
+        const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+        const changes = [];
+
+        ids.forEach(id => {
+            const before = beforeById.get(id);
+            const after = afterById.get(id);
+            if (before && after && before.order === after.order) return;
+
+            changes.push({
+                id,
+                index: before ? before.index : after.index,
+                before: before ? this.clone(before.order) : null,
+                after: after ? this.clone(after.order) : null
+            });
+        });
+
+        return changes;
+    }
+
+    record(label, beforeOrders, afterOrders) {
+        const changes = this.diff(beforeOrders, afterOrders);
+        if (changes.length === 0) return null;
+
+        const entry = { label, changes, at: new Date().toISOString() };
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.save();
+
+        return entry;
+    }
+
+    // Used when someone else signs in, so nobody undoes another person's changes
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+    }
+
+    // ===== UNDO / REDO =====
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo(orders) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.redoStack.push(entry);
+        this.save();
+        return { entry, orders: this.apply(orders, entry.changes, 'before') };
+    }
+
+    redo(orders) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.undoStack.push(entry);
+        this.save();
+        return { entry, orders: this.apply(orders, entry.changes, 'after') };
+    }
+
+    // Put each changed order back into the given state (null removes it)
+    apply(orders, changes, side) {
+        const result = [...orders];
+
+        changes.forEach(change => {
+            const target = change[side] ? this.clone(change[side]) : null;
+            const currentIndex = result.findIndex(order => order.id === change.id);
+
+            if (currentIndex !== -1) {
+                if (target) {
+                    result[currentIndex] = target;
+                } else {
+                    result.splice(currentIndex, 1);
+                }
+            } else if (target) {
+                result.splice(Math.min(change.index, result.length), 0, target);
+            }
+        });
+
+        return result;
+    }
+
+    // ===== PERSISTENCE =====
+    load() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.storageKey));
+            if (stored) {
+                this.undoStack = stored.undo || [];
+                this.redoStack = stored.redo || [];
+            }
+        } catch (error) {
+            console.warn('Discarding unreadable order history:', error);
+            sessionStorage.removeItem(this.storageKey);
+        }
+    }
+
+    save() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify({
+                undo: this.undoStack,
+                redo: this.redoStack
+            }));
+        } catch (error) {
+            console.error('Error saving order history to sessionStorage:', error);
+        }
+    }
+
+    clone(order) {
+        return JSON.parse(JSON.stringify(order));
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderHistory;
+}
@@ -0,0 +1,245 @@
+/*
+    FILE: order-print.js - Kitchen Tickets and Customer Receipts
+    CONTENTS:
+    1. Print configuration (store details, paper sizes)
+    2. OrderPrinter class (paper choice, print run)
+    3. Kitchen ticket layout
+    4. Customer receipt layout
+
+    FEATURES:
+    - Kitchen ticket with order number, due time, items, modifiers and notes
+    - Allergy and diet needs printed in a boxed warning the kitchen can't miss
+    - Customer receipt with line prices, VAT breakdown and totals
+    - A4 or fixed 80mm thermal-paper layout, remembered per browser
+    - Only the ticket or receipt is printed, never the page around it (css/print.css)
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== PRINT CONFIGURATION =====
+const PRINT_DEFAULTS = {
+    paperKey: 'tomypizza-print-paper',
+    defaultPaper: 'a4',
+    papers: {
+        a4: { label: 'A4 / Letter' },
+        '80mm': { label: '80mm thermal roll' }
+    },
+    store: {
+        name: 'ToMyPizza!',
+        address: ['Gravias Street 6', 'Aghia Paraskevi, 153 42', 'Athens, Greece'],
+        footer: 'Thank you for ordering from ToMyPizza!'
+    }
+};
+
+// ===== ORDER PRINTER CLASS =====
+class OrderPrinter {
+    constructor(taskManager, config = PRINT_DEFAULTS) {
+        this.manager = taskManager;
+        this.config = config;
+        this.container = null;
+    }
+
+    getPaper() {
+        const paper = localStorage.getItem(this.config.paperKey);
+        return this.config.papers[paper] ? paper : this.config.defaultPaper;
+    }
+
+    setPaper(paper) {
+        if (!this.config.papers[paper]) {
+            throw new Error(`Unknown paper size: ${paper}`);
+        }
+        localStorage.setItem(this.config.paperKey, paper);
+    }
+
+    // ===== PRINT RUN =====
+    // The document is printed into a hidden area so the browser's own print dialog
+    // (and the printer it remembers) is used; print.css hides everything else
+    print(order, kind = 'ticket') {
+        const content = kind === 'receipt' ? this.renderReceipt(order) : this.renderKitchenTicket(order);
+
+        if (!this.container) {
+            this.container = document.createElement('section');
+            this.container.id = 'print-area';
+            this.container.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.container);
+        }
+
+        this.container.className = `print-area print-paper-${this.getPaper()}`;
+        this.container.innerHTML = content;
+        document.body.classList.add('printing');
+
+        window.addEventListener('afterprint', () => this.clear(), { once: true });
+        window.print();
+    }
+
+    clear() {
+        document.body.classList.remove('printing');
+        if (this.container) this.container.innerHTML = '';
+    }
+
+    // ===== SHARED PARTS =====
+    getOrderNumber(order) {
+        return `#${String(order.id).slice(-4)}`;
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('en-GB', {
+            day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    // ===== KITCHEN TICKET =====
+    renderKitchenTicket(order) {
+        const manager = this.manager;
+        const escape = value => manager.escapeHTML(value);
+        const priority = manager.getPriorityInfo(order.priority);
+        const zone = order.zone ? manager.zones.getZone(order.zone) : null;
+        const dietaryCheck = manager.dietary.checkOrder(order);
+
+        const items = order.items.map(item => {
+            const modifiers = [
+                ...item.toppings.add.map(topping => `<li>+ ${escape(topping)}</li>`),
+                ...item.toppings.remove.map(topping => `<li>NO ${escape(topping)}</li>`)
+            ];
+
+            return `
+                <li class="print-item">
+                    <div class="print-item-name">
+                        <strong>${item.quantity}×</strong> ${escape(manager.getSizeLabel(item.size))} ${escape(item.pizza)}
+                    </div>
+                    <div>${escape(manager.getCrustLabel(item.crust))} crust</div>
+                    ${modifiers.length ? `<ul class="print-modifiers">${modifiers.join('')}</ul>` : ''}
+                    ${item.dietary.length ? `<div class="print-allergy-line">!! ${item.dietary.map(id => manager.dietary.getTag(id).needLabel.toUpperCase()).join(', ')} !!</div>` : ''}
+                    ${item.notes ? `<div class="print-note">Note: ${escape(item.notes)}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        const extras = (order.extras || []).map(extra => `<li>${escape(manager.describeExtra(extra))}</li>`).join('');
+
+        return `
+            <article class="print-document print-ticket">
+                <header class="print-header">
+                    <div class="print-title">KITCHEN</div>
+                    <div class="print-order-number">${this.getOrderNumber(order)}</div>
+                    ${order.priority === 'high' ? `<div class="print-flag">*** ${priority.text.toUpperCase()} ***</div>` : ''}
+                </header>
+                <dl class="print-meta">
+                    <dt>Due</dt><dd><strong>${this.formatDateTime(order.due)}</strong></dd>
+                    <dt>Ordered</dt><dd>${this.formatDateTime(order.created)}</dd>
+                    ${zone ? `<dt>Zone</dt><dd>${escape(zone.name)}</dd>` : ''}
+                </dl>
+                ${this.renderAllergyBox(dietaryCheck)}
+                <ul class="print-items">${items}</ul>
+                ${extras ? `<div class="print-section-title">Sides &amp; drinks</div><ul class="print-extras">${extras}</ul>` : ''}
+                ${this.renderAllergyBox(dietaryCheck)}
+                ${order.description ? `<div class="print-note print-order-note">${escape(order.description)}</div>` : ''}
+            </article>
+        `;
+    }
+
+    // Printed above and below the items, so it is seen whether the ticket is read from the top or torn off
+    renderAllergyBox(check) {
+        const dietary = this.manager.dietary;
+        if (!dietary.needsWarning(check)) return '';
+
+        const conflicts = [
+            ...check.lines.flatMap(line => line.conflicts.map(conflict => `Pizza ${line.index + 1}: ${conflict.sources.join(', ')}`)),
+            ...check.extras.filter(line => line.conflicts.length > 0).map(line => line.extra.name)
+        ];
+
+        return `
+            <div class="print-allergy">
+                <div class="print-allergy-title">ALLERGY / DIET</div>
+                <div>${check.needs.map(id => dietary.getTag(id).needLabel.toUpperCase()).join(', ')}</div>
+                ${conflicts.length ? `<div>CHECK: ${conflicts.map(text => this.manager.escapeHTML(text)).join('; ')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    // ===== CUSTOMER RECEIPT =====
+    renderReceipt(order) {
+        const manager = this.manager;
+        const pricing = manager.pricing;
+        const escape = value => manager.escapeHTML(value);
+        const store = this.config.store;
+        // Lines and totals always come from the same pricing: the one stored with the order, or
+        // today's menu for orders priced before line prices were kept
+        const stored = order.totals?.lines;
+        const totals = stored && stored.items?.length === order.items.length &&
+            stored.extras?.length === (order.extras || []).length
+            ? order.totals
+            : pricing.priceOrder(order);
+
+        const line = (label, amount, detail = '') => `
+            <tr>
+                <td>${label}${detail ? `<div class="print-line-detail">${detail}</div>` : ''}</td>
+                <td class="print-amount">${formatPrice(amount)}</td>
+            </tr>
+        `;
+
+        const itemLines = order.items.map((item, index) => {
+            const price = totals.lines.items[index];
+            const toppings = item.toppings.add.length ? `+ ${item.toppings.add.map(escape).join(', ')}` : '';
+            return line(
+                `${item.quantity}× ${escape(manager.getSizeLabel(item.size))} ${escape(item.pizza)}`,
+                price.lineTotal,
+                [`${escape(manager.getCrustLabel(item.crust))} crust`, toppings, item.quantity > 1 ? `@ ${formatPrice(price.unitPrice)}` : '']
+                    .filter(Boolean).join(' · ')
+            );
+        }).join('');
+
+        const extraLines = (order.extras || []).map((extra, index) => {
+            const price = totals.lines.extras[index];
+            return line(
+                `${extra.quantity}× ${escape(extra.name)}`,
+                price.lineTotal,
+                extra.quantity > 1 ? `@ ${formatPrice(price.unitPrice)}` : ''
+            );
+        }).join('');
+
+        return `
+            <article class="print-document print-receipt">
+                <header class="print-header">
+                    <div class="print-title">${escape(store.name)}</div>
+                    <address class="print-address">${store.address.map(escape).join('<br>')}</address>
+                </header>
+                <dl class="print-meta">
+                    <dt>Order</dt><dd>${this.getOrderNumber(order)}</dd>
+                    <dt>Date</dt><dd>${this.formatDateTime(order.created)}</dd>
+                    ${order.address ? `<dt>Deliver to</dt><dd>${escape(order.address)}</dd>` : ''}
+                </dl>
+                <table class="print-lines">
+                    <tbody>
+                        ${itemLines}
+                        ${extraLines}
+                    </tbody>
+                    <tfoot>
+                        ${line('Subtotal', totals.subtotal)}
+                        ${line('Delivery', totals.deliveryFee)}
+                        <tr class="print-total">
+                            <td>TOTAL</td>
+                            <td class="print-amount">${formatPrice(totals.total)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+                <table class="print-vat">
+                    <caption>Prices include VAT</caption>
+                    <tbody>
+                        ${line(`VAT ${Math.round(VAT_RATES.reduced * 100)}% (food)`, totals.vat.reduced)}
+                        ${line(`VAT ${Math.round(VAT_RATES.standard * 100)}% (drinks, delivery)`, totals.vat.standard)}
+                        ${line('Net amount', roundCurrency(totals.total - totals.vat.total))}
+                    </tbody>
+                </table>
+                <footer class="print-footer">${escape(store.footer)}</footer>
+            </article>
+        `;
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PRINT_DEFAULTS, OrderPrinter };
+}
@@ -0,0 +1,220 @@
+/*
+    FILE: order-query.js - Order Search, Filters and Sorting
+    CONTENTS:
+    1. Sort keys
+    2. OrderQuery class (filter state, matching, multi-key sort, paging)
+    3. URL query string round-trip
+
+    FEATURES:
+    - Free-text search across pizza, instructions, address and suburb
+    - Compound filters: status set, priority, zone, delivery date range, overdue only
+    - Multi-key sort with a direction per key
+    - Filter state and page kept in the URL so views can be bookmarked
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== SORT KEYS =====
+// Each compare returns the ascending order of two orders
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const ORDER_SORT_KEYS = {
+    due: {
+        label: 'Delivery Time',
+        compare: (a, b, query) => query.getDueTime(a) - query.getDueTime(b)
+    },
+    name: {
+        label: 'Pizza Type',
+        compare: (a, b) => a.name.localeCompare(b.name)
+    },
+    priority: {
+        label: 'Priority',
+        // Most urgent first, as the old priority sort did
+        compare: (a, b) => PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority]
+    },
+    total: {
+        label: 'Total',
+        compare: (a, b) => (a.totals?.total || 0) - (b.totals?.total || 0)
+    },
+    status: {
+        label: 'Status',
+        compare: (a, b, query) => query.statusOrder.indexOf(a.status) - query.statusOrder.indexOf(b.status)
+    }
+};
+
+// ===== ORDER QUERY CLASS =====
+class OrderQuery {
+    constructor(statusMachine = new OrderStatusMachine()) {
+        this.statusMachine = statusMachine;
+        this.statusOrder = statusMachine.getStatuses();
+
+        // Orders are replaced, never changed, so parsed due times can be kept per order object
+        this.dueTimes = new WeakMap();
+        this.reset();
+    }
+
+    getDueTime(order) {
+        if (!this.dueTimes.has(order)) this.dueTimes.set(order, new Date(order.due).getTime());
+        return this.dueTimes.get(order);
+    }
+
+    reset() {
+        this.search = '';
+        this.statuses = [];
+        this.priorities = [];
+        this.zones = [];
+        this.from = '';
+        this.to = '';
+        this.overdueOnly = false;
+        this.sort = [{ key: 'due', direction: 'asc' }];
+        this.page = 1;
+    }
+
+    isFiltered() {
+        return Boolean(this.search || this.statuses.length || this.priorities.length ||
+            this.zones.length || this.from || this.to || this.overdueOnly);
+    }
+
+    // ===== FILTERING =====
+    filter(orders, now = new Date()) {
+        const terms = this.normalize(this.search).split(' ').filter(Boolean);
+        const from = this.from ? new Date(`${this.from}T00:00`).getTime() : null;
+        const to = this.to ? new Date(`${this.to}T23:59:59.999`).getTime() : null;
+
+        return orders.filter(order => {
+            if (this.statuses.length && !this.statuses.includes(order.status)) return false;
+            if (this.priorities.length && !this.priorities.includes(order.priority)) return false;
+            if (this.zones.length && !this.zones.includes(order.zone || 'none')) return false;
+
+            const due = this.getDueTime(order);
+            if (from && due < from) return false;
+            if (to && due > to) return false;
+            if (this.overdueOnly && !(due <= now && this.statusMachine.isActive(order.status))) return false;
+
+            // Every word has to appear somewhere in the order
+            if (terms.length) {
+                const text = this.normalize([
+                    order.name,
+                    order.description,
+                    order.location,
+                    order.address,
+                    ...(order.items || []).map(item => item.pizza)
+                ].join(' '));
+                if (!terms.every(term => text.includes(term))) return false;
+            }
+
+            return true;
+        });
+    }
+
+    normalize(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // ===== SORTING =====
+    sortOrders(orders) {
+        return [...orders].sort((a, b) => {
+            for (const { key, direction } of this.sort) {
+                const result = ORDER_SORT_KEYS[key].compare(a, b, this);
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            return 0;
+        });
+    }
+
+    // Plain click: sort by this key only, or flip it if it already leads.
+    // Shift+click: add the key as a tie-breaker, or flip it where it stands.
+    toggleSort(key, additive = false) {
+        const index = this.sort.findIndex(entry => entry.key === key);
+        const flipped = index !== -1 && this.sort[index].direction === 'asc' ? 'desc' : 'asc';
+
+        if (additive) {
+            if (index === -1) {
+                this.sort = [...this.sort, { key, direction: 'asc' }];
+            } else {
+                this.sort = this.sort.map((entry, i) => i === index ? { key, direction: flipped } : entry);
+            }
+        } else {
+            this.sort = [{ key, direction: index === 0 ? flipped : 'asc' }];
+        }
+    }
+
+    // ===== PAGING =====
+    // The requested page is kept within range as the list shrinks
+    paginate(orders, pageSize) {
+        const pageCount = Math.max(1, Math.ceil(orders.length / pageSize));
+        this.page = Math.min(Math.max(1, this.page), pageCount);
+
+        const start = (this.page - 1) * pageSize;
+        return { orders: orders.slice(start, start + pageSize), page: this.page, pageCount, start, total: orders.length };
+    }
+
+    // ===== URL STATE =====
+    // ?q=pepperoni&status=received,in-oven&priority=high&zone=zone-1&from=2024-05-01&to=2024-05-31&overdue=1&sort=priority:desc,due
+    toParams(params = new URLSearchParams()) {
+        const list = values => values.join(',');
+        const entries = {
+            q: this.search,
+            status: list(this.statuses),
+            priority: list(this.priorities),
+            zone: list(this.zones),
+            from: this.from,
+            to: this.to,
+            overdue: this.overdueOnly ? '1' : '',
+            page: this.page > 1 ? String(this.page) : '',
+            sort: list(this.sort.map(({ key, direction }) => direction === 'desc' ? `${key}:desc` : key))
+        };
+
+        Object.entries(entries).forEach(([name, value]) => {
+            // The default sort stays out of the URL
+            if (value && !(name === 'sort' && value === 'due')) {
+                params.set(name, value);
+            } else {
+                params.delete(name);
+            }
+        });
+
+        return params;
+    }
+
+    // Unknown values are dropped so a hand-edited URL can't break the table
+    fromParams(params) {
+        const list = (name, allowed) => (params.get(name) || '')
+            .split(',')
+            .filter(value => allowed.includes(value));
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+        this.reset();
+        this.search = params.get('q') || '';
+        this.statuses = list('status', this.statusOrder);
+        this.priorities = list('priority', ['low', 'medium', 'high']);
+        this.zones = (params.get('zone') || '').split(',').filter(Boolean);
+        this.from = isDate(params.get('from')) ? params.get('from') : '';
+        this.to = isDate(params.get('to')) ? params.get('to') : '';
+        this.overdueOnly = params.get('overdue') === '1';
+        this.page = parseInt(params.get('page')) || 1;
+
+        const sort = (params.get('sort') || '')
+            .split(',')
+            .map(entry => entry.split(':'))
+            .filter(([key], index, entries) =>
+                Object.prototype.hasOwnProperty.call(ORDER_SORT_KEYS, key) &&
+                entries.findIndex(([other]) => other === key) === index)
+            .map(([key, direction]) => ({ key, direction: direction === 'desc' ? 'desc' : 'asc' }));
+        if (sort.length) this.sort = sort;
+
+        return this;
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ORDER_SORT_KEYS, OrderQuery };
+}
@@ -0,0 +1,330 @@
+/*
+    FILE: order-repository.js - Order Storage Layer
+    CONTENTS:
+    1. Storage configuration (adapter choice, REST base URL)
+    2. LocalStorageOrderAdapter (default, same key as before)
+    3. IndexedDBOrderAdapter for large order histories
+    4. RestOrderAdapter for a backend or local mock server
+    5. OrderRepository shared by the orders and analytics pages
+    6. Quarantine for records that fail schema validation
+
+    FEATURES:
+    - One async API (loadAll / loadOne / saveAll) for every backend
+    - Saves are queued so they reach the backend in order
+    - Orders are upgraded to the current schema on load
+    - Adapter can be switched without code changes via localStorage
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== STORAGE CONFIGURATION =====
+// Override per browser, e.g. for a mock server:
+// localStorage.setItem('tomypizza-storage', '{"adapter":"rest","restBaseUrl":"http://localhost:3000"}')
+const ORDER_STORAGE_DEFAULTS = {
+    adapter: 'localStorage',
+    storageKey: 'pizzaOrders',
+    databaseName: 'tomypizza',
+    restBaseUrl: 'http://localhost:3000',
+    restTimeout: 5000,
+    quarantineKey: 'pizzaOrdersQuarantine'
+};
+
+// ===== LOCAL STORAGE ADAPTER =====
+class LocalStorageOrderAdapter {
+    constructor(config) {
+        this.storageKey = config.storageKey;
+    }
+
+    async loadAll() {
+        const stored = localStorage.getItem(this.storageKey);
+        if (!stored) return null;
+
+        // Corrupt JSON is handed back as-is so the schema can quarantine it
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            return stored;
+        }
+    }
+
+    async loadOne(id) {
+        const orders = await this.loadAll();
+        return Array.isArray(orders) ? orders.find(order => order && order.id === id) || null : null;
+    }
+
+    async saveAll(orders) {
+        localStorage.setItem(this.storageKey, JSON.stringify(orders));
+    }
+}
+
+// ===== INDEXEDDB ADAPTER =====
+class IndexedDBOrderAdapter {
+    constructor(config) {
+        this.databaseName = config.databaseName;
+        this.storeName = 'orders';
+        this.isNewDatabase = false;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+
+                request.onupgradeneeded = () => {
+                    this.isNewDatabase = true;
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    async loadAll() {
+        const db = await this.open();
+
+        // A database created just now has never been saved to
+        if (this.isNewDatabase) return null;
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadOne(id) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveAll(orders) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+
+            store.clear();
+            orders.forEach(order => store.put(order));
+
+            transaction.oncomplete = () => {
+                // Saved to now, so a later load must read the store
+                this.isNewDatabase = false;
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// ===== REST ADAPTER =====
+// Expects a JSON collection at {baseUrl}/orders (GET, POST, PUT /:id, DELETE /:id),
+// which is what json-server and most mock servers provide out of the box
+class RestOrderAdapter {
+    constructor(config) {
+        this.baseUrl = config.restBaseUrl.replace(/\/$/, '');
+        this.timeout = config.restTimeout;
+
+        // Last state known to be on the server, used to send only the differences
+        this.syncedOrders = new Map();
+    }
+
+    async request(path, { allowMissing = false, ...options } = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json' },
+                signal: controller.signal
+            });
+
+            if (response.status === 404 && allowMissing) return null;
+            if (!response.ok) {
+                throw new Error(`Order API responded with ${response.status}`);
+            }
+
+            return response.status === 204 ? null : response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    async loadAll() {
+        const orders = await this.request('/orders');
+        this.syncedOrders = new Map(orders.map(order => [order.id, JSON.stringify(order)]));
+
+        // An empty collection on a fresh server is treated like first use
+        return orders.length > 0 ? orders : null;
+    }
+
+    async loadOne(id) {
+        return this.request(`/orders/${id}`, { allowMissing: true });
+    }
+
+    // Each request that went through is recorded, so a failed one is retried on the next
+    // save without re-sending (and duplicating) the ones the server already has
+    async saveAll(orders) {
+        const currentIds = new Set(orders.map(order => order.id));
+        const requests = [];
+
+        orders.forEach(order => {
+            const serialized = JSON.stringify(order);
+            if (!this.syncedOrders.has(order.id)) {
+                requests.push({ id: order.id, serialized, sent: this.request('/orders', { method: 'POST', body: serialized }) });
+            } else if (this.syncedOrders.get(order.id) !== serialized) {
+                requests.push({ id: order.id, serialized, sent: this.request(`/orders/${order.id}`, { method: 'PUT', body: serialized }) });
+            }
+        });
+
+        this.syncedOrders.forEach((_, id) => {
+            if (!currentIds.has(id)) {
+                requests.push({ id, serialized: null, sent: this.request(`/orders/${id}`, { method: 'DELETE' }) });
+            }
+        });
+
+        const results = await Promise.allSettled(requests.map(request => request.sent));
+        const failures = [];
+        results.forEach((result, index) => {
+            const { id, serialized } = requests[index];
+            if (result.status === 'rejected') {
+                failures.push(result.reason);
+            } else if (serialized === null) {
+                this.syncedOrders.delete(id);
+            } else {
+                this.syncedOrders.set(id, serialized);
+            }
+        });
+
+        if (failures.length > 0) {
+            throw new Error(`${failures.length} of ${requests.length} order updates failed: ${failures[0].message}`);
+        }
+    }
+}
+
+// ===== ORDER REPOSITORY CLASS =====
+class OrderRepository {
+    constructor(adapter, config = ORDER_STORAGE_DEFAULTS) {
+        this.adapter = adapter;
+        this.schema = new OrderSchema();
+        this.quarantineKey = config.quarantineKey;
+        this.saveQueue = Promise.resolve();
+    }
+
+    static fromConfig(overrides = {}) {
+        let storedConfig = {};
+        try {
+            storedConfig = JSON.parse(localStorage.getItem('tomypizza-storage')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid storage configuration:', error);
+        }
+
+        const config = { ...ORDER_STORAGE_DEFAULTS, ...storedConfig, ...overrides };
+        const adapters = {
+            localStorage: LocalStorageOrderAdapter,
+            indexedDB: IndexedDBOrderAdapter,
+            rest: RestOrderAdapter
+        };
+
+        const Adapter = adapters[config.adapter];
+        if (!Adapter) {
+            console.warn(`Unknown storage adapter "${config.adapter}", using localStorage`);
+            return new OrderRepository(new LocalStorageOrderAdapter(config), config);
+        }
+
+        // Browsers without IndexedDB (or private modes that block it) fall back to localStorage
+        if (Adapter === IndexedDBOrderAdapter && typeof indexedDB === 'undefined') {
+            return new OrderRepository(new LocalStorageOrderAdapter(config), config);
+        }
+
+        return new OrderRepository(new Adapter(config), config);
+    }
+
+    // Resolves to { orders, migrated, quarantined }, or null when nothing was ever saved
+    async loadAll() {
+        const payload = await this.adapter.loadAll();
+        if (payload === null || payload === undefined) return null;
+
+        const result = this.schema.load(payload);
+        if (result.quarantined.length > 0) {
+            console.warn(`${result.quarantined.length} stored order(s) quarantined:`, result.quarantined);
+            this.addToQuarantine(result.quarantined);
+        }
+
+        return result;
+    }
+
+    // The stored copy of one order, used to catch edits made from another device
+    async loadOrder(id) {
+        const record = await this.adapter.loadOne(id);
+        if (!record) return null;
+
+        try {
+            const order = this.schema.upgrade(record);
+            return this.schema.validate(order).length === 0 ? order : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveAll(orders) {
+        // Snapshot now so later changes don't leak into a queued save
+        const snapshot = JSON.parse(JSON.stringify(orders))
+            .map(order => ({ ...order, schemaVersion: this.schema.version }));
+        this.saveQueue = this.saveQueue
+            .catch(() => {})
+            .then(() => this.adapter.saveAll(snapshot));
+
+        return this.saveQueue;
+    }
+
+    // ===== QUARANTINE =====
+    // Kept locally whatever the adapter, so bad records survive the next save for recovery
+    getQuarantined() {
+        try {
+            return JSON.parse(localStorage.getItem(this.quarantineKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    addToQuarantine(entries) {
+        // Both pages load the same data, so skip records that are already set aside
+        const existing = this.getQuarantined();
+        const known = new Set(existing.map(entry => JSON.stringify(entry.record)));
+        const added = entries.filter(entry => !known.has(JSON.stringify(entry.record)));
+
+        try {
+            localStorage.setItem(this.quarantineKey, JSON.stringify([...existing, ...added]));
+        } catch (error) {
+            console.error('Error saving quarantined orders:', error);
+        }
+    }
+
+    clearQuarantine() {
+        localStorage.removeItem(this.quarantineKey);
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ORDER_STORAGE_DEFAULTS,
+        LocalStorageOrderAdapter,
+        IndexedDBOrderAdapter,
+        RestOrderAdapter,
+        OrderRepository
+    };
+}
@@ -0,0 +1,267 @@
+/*
+    FILE: order-schedule.js - Pre-orders, Time Slots and Recurring Orders
+    CONTENTS:
+    1. Schedule configuration (slot length and capacity, opening hours)
+    2. OrderScheduler class (slots and their load)
+    3. Recurring order templates (pause, skip, remove)
+    4. Materialising recurring orders ahead of time
+
+    FEATURES:
+    - 15-minute delivery slots with a pizza limit per slot
+    - Pre-orders for any open slot in the coming days
+    - Weekly standing orders (e.g. every Friday 13:00 for an office)
+    - Standing orders become real orders a set time before they are due
+    - Pre-orders reach the kitchen display only when it is time to start them
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== SCHEDULE CONFIGURATION =====
+// Override per browser, e.g. for a bigger kitchen:
+// localStorage.setItem('tomypizza-schedule', '{"slotCapacity":16}')
+const SCHEDULE_DEFAULTS = {
+    recurringKey: 'pizzaRecurringOrders',
+    slotMinutes: 15,
+    // Pizzas the kitchen can promise per slot
+    slotCapacity: 12,
+    opensAt: '12:00',
+    closesAt: '23:30',
+    // How far ahead pre-orders can be booked and must be booked
+    maxDaysAhead: 14,
+    minLeadMinutes: 45,
+    // Standing orders turn into real orders this long before they are due
+    materialiseAheadHours: 24,
+    // Scheduled orders appear on the kitchen display this long before they are due
+    kitchenReleaseMinutes: 45
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ===== ORDER SCHEDULER CLASS =====
+class OrderScheduler {
+    constructor(config = SCHEDULE_DEFAULTS) {
+        this.config = config;
+    }
+
+    static fromConfig(overrides = {}) {
+        let storedConfig = {};
+        try {
+            storedConfig = JSON.parse(localStorage.getItem('tomypizza-schedule')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid schedule configuration:', error);
+        }
+
+        return new OrderScheduler({ ...SCHEDULE_DEFAULTS, ...storedConfig, ...overrides });
+    }
+
+    // ===== SLOTS =====
+    getSlotStart(value) {
+        const date = new Date(value);
+        const slotMs = this.config.slotMinutes * 60000;
+        // Slots line up with the local quarter hours, whatever the time zone offset
+        const offsetMs = date.getTimezoneOffset() * 60000;
+        return new Date(Math.floor((date.getTime() - offsetMs) / slotMs) * slotMs + offsetMs);
+    }
+
+    countPizzas(order) {
+        return (order.items || []).reduce((count, item) => count + (item.quantity || 1), 0);
+    }
+
+    // Pizzas already promised in the slot; closed orders free their place
+    getSlotLoad(orders, slotStart, ignoreId = null) {
+        const start = this.getSlotStart(slotStart).getTime();
+        const end = start + this.config.slotMinutes * 60000;
+
+        return orders
+            .filter(order => order.id !== ignoreId && !['cancelled', 'refunded'].includes(order.status))
+            .filter(order => {
+                const due = new Date(order.due).getTime();
+                return due >= start && due < end;
+            })
+            .reduce((count, order) => count + this.countPizzas(order), 0);
+    }
+
+    checkSlot(orders, due, pizzas, ignoreId = null) {
+        const slotStart = this.getSlotStart(due);
+        const load = this.getSlotLoad(orders, slotStart, ignoreId);
+        return {
+            slotStart,
+            load,
+            capacity: this.config.slotCapacity,
+            remaining: Math.max(0, this.config.slotCapacity - load),
+            fits: load + pizzas <= this.config.slotCapacity
+        };
+    }
+
+    // Bookable slots of one day ("2024-05-17"), each with its load
+    getSlots(orders, day, pizzas = 1, now = new Date()) {
+        const toTime = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            const date = new Date(`${day}T00:00`);
+            date.setHours(hours, minutes, 0, 0);
+            return date;
+        };
+
+        const earliest = now.getTime() + this.config.minLeadMinutes * 60000;
+        const closesAt = toTime(this.config.closesAt).getTime();
+        const slots = [];
+
+        for (let start = toTime(this.config.opensAt); start.getTime() < closesAt;
+            start = new Date(start.getTime() + this.config.slotMinutes * 60000)) {
+            if (start.getTime() < earliest) continue;
+            slots.push(this.checkSlot(orders, start, pizzas));
+        }
+
+        return slots;
+    }
+
+    isBookableDay(day, now = new Date()) {
+        const date = new Date(`${day}T00:00`);
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+        const daysAhead = Math.round((date - today) / 86400000);
+        return daysAhead >= 0 && daysAhead <= this.config.maxDaysAhead;
+    }
+
+    // Scheduled orders wait off the kitchen display until they need starting
+    isReleasedToKitchen(order, now = new Date()) {
+        if (!order.schedule || order.status !== 'received') return true;
+        return new Date(order.due).getTime() - now.getTime() <= this.config.kitchenReleaseMinutes * 60000;
+    }
+
+    // ===== RECURRING TEMPLATES =====
+    getRecurring() {
+        try {
+            const templates = JSON.parse(localStorage.getItem(this.config.recurringKey));
+            return Array.isArray(templates) ? templates : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable recurring orders:', error);
+            return [];
+        }
+    }
+
+    getTemplate(templateId) {
+        return this.getRecurring().find(template => template.id === templateId) || null;
+    }
+
+    saveRecurring(templates) {
+        localStorage.setItem(this.config.recurringKey, JSON.stringify(templates));
+    }
+
+    // A weekly standing order from the contents of an order and its first delivery time
+    addRecurring(order, label = '') {
+        const due = new Date(order.due);
+        const template = {
+            id: `recurring-${Date.now()}`,
+            label: label.trim() || order.name,
+            weekday: due.getDay(),
+            time: `${String(due.getHours()).padStart(2, '0')}:${String(due.getMinutes()).padStart(2, '0')}`,
+            order: {
+                items: order.items,
+                extras: order.extras,
+                description: order.description,
+                priority: order.priority,
+                address: order.address,
+                customerId: order.customerId || null
+            },
+            paused: false,
+            skipDates: [],
+            // Occurrences already turned into orders, so none is created twice
+            materialised: [due.toISOString()],
+            createdAt: new Date().toISOString()
+        };
+
+        this.saveRecurring([...this.getRecurring(), template]);
+        return template;
+    }
+
+    updateRecurring(templateId, changes) {
+        const templates = this.getRecurring().map(template => template.id === templateId
+            ? { ...template, ...changes(template) }
+            : template);
+        this.saveRecurring(templates);
+        return templates.find(template => template.id === templateId) || null;
+    }
+
+    setPaused(templateId, paused) {
+        return this.updateRecurring(templateId, () => ({ paused }));
+    }
+
+    // Skips the next occurrence that hasn't been turned into an order yet
+    skipNext(templateId, now = new Date()) {
+        return this.updateRecurring(templateId, template => {
+            const next = this.getNextOccurrence(template, now);
+            return next ? { skipDates: [...template.skipDates, next.toISOString()] } : {};
+        });
+    }
+
+    removeRecurring(templateId) {
+        this.saveRecurring(this.getRecurring().filter(template => template.id !== templateId));
+    }
+
+    describeRecurring(template) {
+        return `Every ${WEEKDAY_NAMES[template.weekday]} at ${template.time}`;
+    }
+
+    // ===== OCCURRENCES =====
+    // Delivery times of a template from `from` up to `to`, skipped ones left out
+    getOccurrences(template, from, to) {
+        const [hours, minutes] = template.time.split(':').map(Number);
+        const occurrence = new Date(from);
+        occurrence.setHours(hours, minutes, 0, 0);
+        occurrence.setDate(occurrence.getDate() + ((template.weekday - occurrence.getDay() + 7) % 7));
+        if (occurrence < from) occurrence.setDate(occurrence.getDate() + 7);
+
+        const occurrences = [];
+        while (occurrence <= to) {
+            if (!template.skipDates.includes(occurrence.toISOString())) {
+                occurrences.push(new Date(occurrence));
+            }
+            occurrence.setDate(occurrence.getDate() + 7);
+        }
+        return occurrences;
+    }
+
+    // The next delivery that is still to be ordered
+    getNextOccurrence(template, now = new Date()) {
+        const horizon = new Date(now.getTime() + 5 * 7 * 86400000);
+        return this.getOccurrences(template, now, horizon)
+            .find(occurrence => !template.materialised.includes(occurrence.toISOString())) || null;
+    }
+
+    // Occurrences of active templates that are due within the look-ahead and not yet ordered
+    getDueOccurrences(now = new Date()) {
+        const until = new Date(now.getTime() + this.config.materialiseAheadHours * 3600000);
+
+        return this.getRecurring()
+            .filter(template => !template.paused)
+            .flatMap(template => this.getOccurrences(template, now, until)
+                .filter(occurrence => !template.materialised.includes(occurrence.toISOString()))
+                .map(due => ({ template, due })));
+    }
+
+    // Remembers which occurrences became orders; entries older than a week are dropped
+    markMaterialised(entries, now = new Date()) {
+        const weekAgo = now.getTime() - 7 * 86400000;
+        const templates = this.getRecurring().map(template => {
+            const added = entries
+                .filter(entry => entry.template.id === template.id)
+                .map(entry => entry.due.toISOString());
+            if (added.length === 0) return template;
+
+            return {
+                ...template,
+                materialised: [...template.materialised, ...added].filter(value => new Date(value).getTime() >= weekAgo),
+                skipDates: template.skipDates.filter(value => new Date(value).getTime() >= weekAgo)
+            };
+        });
+        this.saveRecurring(templates);
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SCHEDULE_DEFAULTS, OrderScheduler };
+}
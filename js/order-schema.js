@@ -0,0 +1,331 @@
+/*
+    FILE: order-schema.js - Persisted Order Schema and Migrations
+    CONTENTS:
+    1. Current schema version
+    2. Migration pipeline for older order shapes
+    3. Record validation
+    4. OrderSchema class that upgrades, validates and quarantines
+
+    FEATURES:
+    - Each stored order carries a schemaVersion
+    - Older orders are upgraded step by step on load
+    - Malformed records are set aside instead of crashing the page
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== SCHEMA VERSION =====
+// Orders saved before versioning have no schemaVersion and count as version 0
+const ORDER_SCHEMA_VERSION = 12;
+
+// ===== MIGRATIONS =====
+// Each step upgrades an order from (version - 1) to version
+const ORDER_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Free-text pizza name becomes line items',
+        migrate(order, schema) {
+            // Anything other than a missing or empty list is left for validation to judge
+            const hasItems = Array.isArray(order.items) ? order.items.length > 0 : order.items != null;
+            if (hasItems) return order;
+            return { ...order, items: [schema.parseLegacyItem(order.name || '', order.description || '')] };
+        }
+    },
+    {
+        version: 2,
+        description: 'Orders are priced from the menu',
+        migrate(order, schema) {
+            const extras = order.extras ?? [];
+            const upgraded = { ...order, extras };
+            // Unreadable contents can't be priced; validation reports them instead
+            if (order.totals || !Array.isArray(order.items) || !Array.isArray(extras)) return upgraded;
+            return { ...upgraded, totals: schema.pricing.priceOrder(upgraded) };
+        }
+    },
+    {
+        version: 3,
+        description: 'pending/completed become lifecycle statuses with history',
+        migrate(order, schema) {
+            if (Array.isArray(order.statusHistory)) return order;
+            const upgraded = { ...order, status: schema.statusMachine.normalize(order.status) };
+            return { ...upgraded, statusHistory: schema.statusMachine.seedHistory(upgraded) };
+        }
+    },
+    {
+        version: 4,
+        description: 'Optional fields always present',
+        migrate(order) {
+            // Demo orders had a location, analytics samples had completedAt: null and no location
+            return {
+                ...order,
+                description: order.description || '',
+                location: order.location || '',
+                priority: order.priority || 'medium',
+                created: order.created || order.due,
+                completedAt: order.completedAt || null
+            };
+        }
+    },
+    {
+        version: 5,
+        description: 'Revision counter and last-modified time',
+        migrate(order) {
+            return {
+                ...order,
+                revision: Number.isInteger(order.revision) && order.revision > 0 ? order.revision : 1,
+                updatedAt: order.updatedAt || order.completedAt || order.created
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'Delivery address with a resolved zone',
+        migrate(order, schema) {
+            // Older orders only had a suburb name; suburbs outside today's zones keep zone null
+            const address = order.address || order.location || '';
+            const delivery = schema.zones.resolve(address);
+            return {
+                ...order,
+                address,
+                zone: delivery ? delivery.zone.id : null,
+                location: delivery ? delivery.suburb : order.location || ''
+            };
+        }
+    },
+    {
+        version: 7,
+        description: 'Driver dispatch details',
+        migrate(order) {
+            return { ...order, dispatch: order.dispatch || null };
+        }
+    },
+    {
+        version: 8,
+        description: 'SLA level reached and manager review flag',
+        migrate(order) {
+            return { ...order, sla: order.sla || null };
+        }
+    },
+    {
+        version: 9,
+        description: 'Link to a customer record',
+        migrate(order) {
+            return { ...order, customerId: order.customerId || null };
+        }
+    },
+    {
+        version: 10,
+        description: 'Allergen and dietary needs on each pizza line',
+        migrate(order) {
+            // Earlier orders only had free-text notes, which stay as they are
+            if (!Array.isArray(order.items)) return order;
+            return {
+                ...order,
+                items: order.items.map(item => item && typeof item === 'object' && !Array.isArray(item.dietary)
+                    ? { ...item, dietary: [] }
+                    : item)
+            };
+        }
+    },
+    {
+        version: 11,
+        description: 'Pre-order and recurring order schedule',
+        migrate(order) {
+            return { ...order, schedule: order.schedule || null };
+        }
+    },
+    {
+        version: 12,
+        description: 'Staff member who last changed the order',
+        migrate(order) {
+            // Nobody signed in before staff accounts existed
+            return { ...order, updatedBy: order.updatedBy || null };
+        }
+    }
+];
+
+// ===== ORDER SCHEMA CLASS =====
+class OrderSchema {
+    constructor(migrations = ORDER_MIGRATIONS) {
+        this.migrations = migrations;
+        this.version = ORDER_SCHEMA_VERSION;
+        this.pricing = new PricingEngine();
+        this.statusMachine = new OrderStatusMachine();
+        this.zones = new DeliveryZoneResolver();
+    }
+
+    getVersion(order) {
+        return Number.isInteger(order.schemaVersion) ? order.schemaVersion : 0;
+    }
+
+    // ===== LOADING =====
+    // Accepts whatever the storage adapter returned and never throws
+    load(payload) {
+        if (!Array.isArray(payload)) {
+            return {
+                orders: [],
+                migrated: false,
+                quarantined: [this.quarantineEntry(payload, ['Stored orders are not a list'])]
+            };
+        }
+
+        const orders = [];
+        const quarantined = [];
+        const seenIds = new Set();
+        let migrated = false;
+
+        payload.forEach(record => {
+            const { order, problems } = this.inspect(record);
+            if (order && seenIds.has(order.id)) {
+                problems.push(`Duplicate order id ${order.id}`);
+            }
+
+            if (problems.length > 0) {
+                quarantined.push(this.quarantineEntry(record, problems));
+                return;
+            }
+
+            if (order !== record) migrated = true;
+            seenIds.add(order.id);
+            orders.push(order);
+        });
+
+        return { orders, migrated: migrated || quarantined.length > 0, quarantined };
+    }
+
+    // Upgrade and validate one record; order is null when it couldn't be upgraded
+    inspect(record) {
+        let order;
+        try {
+            order = this.upgrade(record);
+        } catch (error) {
+            return { order: null, problems: [`Migration failed: ${error.message}`] };
+        }
+
+        return { order, problems: this.validate(order) };
+    }
+
+    upgrade(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error('record is not an object');
+        }
+
+        const fromVersion = this.getVersion(record);
+        if (fromVersion > this.version) {
+            throw new Error(`schema version ${fromVersion} is newer than this app (${this.version})`);
+        }
+        if (fromVersion === this.version) return record;
+
+        const upgraded = this.migrations
+            .filter(migration => migration.version > fromVersion)
+            .reduce((order, migration) => migration.migrate(order, this), record);
+
+        return { ...upgraded, schemaVersion: this.version };
+    }
+
+    // ===== VALIDATION =====
+    // Returns a list of problems; an empty list means the order is usable
+    validate(order) {
+        const problems = [];
+        const isDate = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+        const isStringList = value => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+        const isAmount = value => Number.isFinite(value) && value >= 0;
+
+        if (!Number.isFinite(order.id)) problems.push('Missing or invalid id');
+        if (!Array.isArray(order.items) || order.items.length === 0) {
+            problems.push('No line items');
+        } else if (order.items.some(item => !item || typeof item.pizza !== 'string' ||
+            !Number.isInteger(item.quantity) || item.quantity < 1)) {
+            problems.push('Invalid line item');
+        } else if (order.items.some(item => !item.toppings || typeof item.toppings !== 'object' ||
+            !isStringList(item.toppings.add) || !isStringList(item.toppings.remove))) {
+            problems.push('Invalid toppings');
+        } else if (order.items.some(item => !Array.isArray(item.dietary) ||
+            item.dietary.some(tag => !Object.keys(DIETARY_TAGS).includes(tag)))) {
+            problems.push('Invalid dietary needs');
+        }
+        if (!Array.isArray(order.extras) || order.extras.some(extra => !extra || typeof extra.name !== 'string')) {
+            problems.push('Invalid sides or drinks');
+        }
+        if (!isDate(order.due)) problems.push('Invalid delivery time');
+        if (!isDate(order.created)) problems.push('Invalid creation time');
+        if (!this.statusMachine.getStatuses().includes(order.status)) {
+            problems.push(`Unknown status "${order.status}"`);
+        }
+        if (!['low', 'medium', 'high'].includes(order.priority)) {
+            problems.push(`Unknown priority "${order.priority}"`);
+        }
+        // Every amount the table, tickets and receipts print must be there
+        const { totals } = order;
+        if (!totals || typeof totals !== 'object') {
+            problems.push('Missing totals');
+        } else if (![totals.subtotal, totals.deliveryFee, totals.total].every(isAmount) ||
+            !totals.vat || ![totals.vat.reduced, totals.vat.standard, totals.vat.total].every(isAmount)) {
+            problems.push('Incomplete totals');
+        }
+        if (!Number.isInteger(order.revision) || order.revision < 1) problems.push('Invalid revision');
+        if (!Array.isArray(order.statusHistory) ||
+            order.statusHistory.some(entry => !entry || typeof entry.status !== 'string' || !isDate(entry.at))) {
+            problems.push('Invalid status history');
+        }
+        if (order.dispatch != null && (typeof order.dispatch !== 'object' ||
+            typeof order.dispatch.driverId !== 'string' || !isDate(order.dispatch.departedAt))) {
+            problems.push('Invalid driver dispatch');
+        }
+        if (order.sla != null && (typeof order.sla !== 'object' || !['warn', 'escalate'].includes(order.sla.level))) {
+            problems.push('Invalid SLA state');
+        }
+        if (order.customerId != null && typeof order.customerId !== 'string') {
+            problems.push('Invalid customer reference');
+        }
+        if (order.schedule != null && (typeof order.schedule !== 'object' ||
+            !['pre-order', 'recurring'].includes(order.schedule.type))) {
+            problems.push('Invalid schedule');
+        }
+        if (order.updatedBy != null && typeof order.updatedBy !== 'string') {
+            problems.push('Invalid staff name');
+        }
+
+        return problems;
+    }
+
+    quarantineEntry(record, problems) {
+        return { record, problems, at: new Date().toISOString() };
+    }
+
+    // ===== LEGACY PARSING =====
+    // "2x Large Veggie Supreme Pizzas" + "thin crust" -> one line item
+    parseLegacyItem(name, description) {
+        const text = `${name} ${description}`.toLowerCase();
+
+        const quantityMatch = name.match(/^\s*(\d+)\s*x\s*/i);
+        const quantity = quantityMatch ? Math.max(1, parseInt(quantityMatch[1])) : 1;
+
+        const sizeMatch = MENU_CATALOG.sizes.find(size => name.toLowerCase().includes(size.value));
+        const crustMatch = MENU_CATALOG.crusts.find(crust => text.includes(`${crust.value} crust`));
+        const pizzaMatch = MENU_CATALOG.pizzas.find(pizza => name.toLowerCase().includes(pizza.name.toLowerCase()));
+
+        // Fall back to the original wording when the pizza isn't on the menu
+        const pizza = pizzaMatch ? pizzaMatch.name : name
+            .replace(/^\s*\d+\s*x\s*/i, '')
+            .replace(/\b(small|medium|large|family size|family)\b/ig, '')
+            .replace(/\bpizzas?\b/ig, '')
+            .trim() || 'Custom';
+
+        return {
+            pizza,
+            size: sizeMatch ? sizeMatch.value : 'medium',
+            crust: crustMatch ? crustMatch.value : 'classic',
+            quantity,
+            toppings: { add: [], remove: [] },
+            notes: ''
+        };
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ORDER_SCHEMA_VERSION, ORDER_MIGRATIONS, OrderSchema };
+}
@@ -0,0 +1,161 @@
+/*
+    FILE: order-status.js - Order Lifecycle State Machine
+    CONTENTS:
+    1. Order status definitions (labels, badges, icons)
+    2. Allowed status transitions
+    3. OrderStatusMachine class for transitions and history
+    4. Legacy status mapping (pending/completed)
+
+    FEATURES:
+    - received → prepping → in oven → quality check → out for delivery → delivered
+    - Cancelled and refunded side exits
+    - Kitchen stages can step back one, so a ticket bumped by mistake can be recalled
+    - Timestamped status history stored on each order
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== STATUS DEFINITIONS =====
+// Order of the keys is the order of the kitchen flow
+const ORDER_STATUSES = {
+    'received': {
+        label: 'Order Received',
+        badge: 'bg-primary',
+        icon: 'fa-shopping-cart',
+        next: ['prepping', 'cancelled']
+    },
+    'prepping': {
+        label: 'Dough Prepared',
+        badge: 'bg-info text-dark',
+        icon: 'fa-bread-slice',
+        next: ['in-oven', 'received', 'cancelled']
+    },
+    'in-oven': {
+        label: 'In the Oven',
+        badge: 'bg-danger',
+        icon: 'fa-fire',
+        next: ['quality-check', 'prepping', 'cancelled']
+    },
+    'quality-check': {
+        label: 'Quality Check',
+        badge: 'bg-warning text-dark',
+        icon: 'fa-clipboard-check',
+        next: ['out-for-delivery', 'in-oven', 'cancelled']
+    },
+    'out-for-delivery': {
+        label: 'Out for Delivery',
+        badge: 'bg-secondary',
+        icon: 'fa-truck',
+        next: ['delivered']
+    },
+    'delivered': {
+        label: 'Delivered',
+        badge: 'bg-success',
+        icon: 'fa-check-circle',
+        next: ['refunded']
+    },
+    'cancelled': {
+        label: 'Cancelled',
+        badge: 'bg-dark',
+        icon: 'fa-ban',
+        next: ['refunded']
+    },
+    'refunded': {
+        label: 'Refunded',
+        badge: 'bg-light text-dark border',
+        icon: 'fa-undo',
+        next: []
+    }
+};
+
+// Statuses stored before the lifecycle existed
+const LEGACY_STATUS_MAP = {
+    pending: 'received',
+    completed: 'delivered'
+};
+
+// ===== STATE MACHINE CLASS =====
+class OrderStatusMachine {
+    constructor(statuses = ORDER_STATUSES) {
+        this.statuses = statuses;
+    }
+
+    // ===== STATUS LOOKUPS =====
+    getStatuses() {
+        return Object.keys(this.statuses);
+    }
+
+    getInfo(status) {
+        return this.statuses[status] || this.statuses.received;
+    }
+
+    normalize(status) {
+        if (this.statuses[status]) return status;
+        return LEGACY_STATUS_MAP[status] || 'received';
+    }
+
+    // Active orders are still moving through the kitchen or on the road
+    isActive(status) {
+        return !['delivered', 'cancelled', 'refunded'].includes(status);
+    }
+
+    // The forward step of the happy path, ignoring cancel/refund exits
+    getNextStatus(status) {
+        const next = this.getInfo(status).next;
+        return next.find(candidate => candidate !== 'cancelled' && candidate !== 'refunded' &&
+            this.getStatuses().indexOf(candidate) > this.getStatuses().indexOf(status)) || null;
+    }
+
+    // ===== TRANSITIONS =====
+    canTransition(from, to) {
+        return this.getInfo(from).next.includes(to);
+    }
+
+    transition(order, to, at = new Date().toISOString()) {
+        if (!this.canTransition(order.status, to)) {
+            throw new Error(`Cannot move order from "${order.status}" to "${to}"`);
+        }
+
+        const updated = {
+            ...order,
+            status: to,
+            statusHistory: [...(order.statusHistory || []), { from: order.status, status: to, at }]
+        };
+
+        // Analytics and delivery timers read completedAt
+        if (to === 'delivered') {
+            updated.completedAt = at;
+        }
+
+        return updated;
+    }
+
+    // ===== HISTORY =====
+    getStatusTime(order, status) {
+        const entry = [...(order.statusHistory || [])].reverse().find(item => item.status === status);
+        return entry ? entry.at : null;
+    }
+
+    // Rebuild a minimal history for orders saved before transitions were recorded
+    seedHistory(order) {
+        const created = order.created || new Date().toISOString();
+        const history = [{ from: null, status: 'received', at: created }];
+
+        if (order.status !== 'received') {
+            history.push({
+                from: 'received',
+                status: order.status,
+                at: order.completedAt || created
+            });
+        }
+
+        return history;
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ORDER_STATUSES, LEGACY_STATUS_MAP, OrderStatusMachine };
+}
@@ -0,0 +1,125 @@
+/*
+    FILE: order-sync.js - Live Order Sync Between Tabs
+    CONTENTS:
+    1. OrderSync class (BroadcastChannel with storage event fallback)
+    2. Change detection against the last synced orders
+    3. Merging remote changes into a local order list
+
+    FEATURES:
+    - Counter and kitchen tabs see each other's changes instantly
+    - Only changed orders are sent, so unrelated edits are never overwritten
+    - Open analytics pages refresh without a reload
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== ORDER SYNC CLASS =====
+class OrderSync {
+    constructor(channelName = 'tomypizza-orders') {
+        this.channelName = channelName;
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.listeners = [];
+
+        // Orders as last sent or received, compared by reference like OrderHistory
+        this.knownOrders = new Map();
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = event => this.receive(event.data);
+        } else {
+            // Older browsers: a storage write fires a storage event in every other tab
+            this.channel = null;
+            window.addEventListener('storage', event => {
+                if (event.key === this.channelName && event.newValue) {
+                    this.receive(JSON.parse(event.newValue));
+                }
+            });
+        }
+    }
+
+    // ===== SUBSCRIPTIONS =====
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+        this.listeners.forEach(listener => listener(message));
+    }
+
+    // ===== PUBLISHING =====
+    remember(orders) {
+        this.knownOrders = new Map(orders.map(order => [order.id, order]));
+    }
+
+    publish(orders) {
+        const currentIds = new Set(orders.map(order => order.id));
+        const upserts = [];
+
+        orders.forEach((order, index) => {
+            if (this.knownOrders.get(order.id) !== order) {
+                upserts.push({ index, order });
+            }
+        });
+
+        const removals = [...this.knownOrders.keys()].filter(id => !currentIds.has(id));
+        this.remember(orders);
+
+        if (upserts.length === 0 && removals.length === 0) return;
+
+        const message = { tabId: this.tabId, upserts, removals, at: new Date().toISOString() };
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else {
+            localStorage.setItem(this.channelName, JSON.stringify(message));
+        }
+    }
+
+    // ===== MERGING =====
+    // Apply a remote message to a local list, leaving other orders untouched
+    merge(orders, message) {
+        const removed = new Set(message.removals);
+        const result = orders.filter(order => !removed.has(order.id));
+
+        // Only the remote orders become known; local changes still waiting to be published stay pending
+        message.removals.forEach(id => this.knownOrders.delete(id));
+
+        message.upserts.forEach(({ index, order }) => {
+            const currentIndex = result.findIndex(existing => existing.id === order.id);
+
+            // A message that arrives late must not roll an order back to an older revision
+            if (currentIndex !== -1 && this.compareVersions(result[currentIndex], order) > 0) return;
+
+            this.knownOrders.set(order.id, order);
+            if (currentIndex !== -1) {
+                result[currentIndex] = order;
+            } else {
+                result.splice(Math.min(index, result.length), 0, order);
+            }
+        });
+
+        return result;
+    }
+
+    // Positive when the local copy wins. Two tabs can stamp the same revision at once (status buttons,
+    // bulk actions and SLA rules don't check for conflicts), so ties go to the later change and then
+    // to the larger serialized order; every tab picks the same winner and they never drift apart
+    compareVersions(local, remote) {
+        const revisionOrder = (local.revision || 0) - (remote.revision || 0);
+        if (revisionOrder !== 0) return revisionOrder;
+
+        const timeOrder = new Date(local.updatedAt || 0) - new Date(remote.updatedAt || 0);
+        if (timeOrder !== 0) return timeOrder;
+
+        const localText = JSON.stringify(local);
+        const remoteText = JSON.stringify(remote);
+        return localText === remoteText ? 0 : localText > remoteText ? 1 : -1;
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderSync;
+}
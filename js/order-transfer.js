@@ -0,0 +1,198 @@
+/*
+    FILE: order-transfer.js - Order Import and Export
+    CONTENTS:
+    1. Export columns
+    2. OrderTransfer class (CSV / JSON export, parsing, import preview)
+    3. CSV helpers
+
+    FEATURES:
+    - Export any list of orders to CSV or JSON
+    - CSV and JSON import checked against the order schema
+    - Preview of invalid rows and duplicate ids before anything is changed
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== EXPORT COLUMNS =====
+// Line items, extras, status history, dispatch, SLA and schedule details are kept as JSON inside
+// their cells so a CSV round-trips without the lifecycle timestamps being rebuilt
+const ORDER_EXPORT_COLUMNS = [
+    'id', 'name', 'items', 'extras', 'description', 'due', 'priority',
+    'status', 'address', 'zone', 'location', 'created', 'total', 'revision', 'updatedAt', 'dispatch', 'sla',
+    'customerId', 'schedule', 'updatedBy', 'statusHistory', 'completedAt'
+];
+
+// ===== ORDER TRANSFER CLASS =====
+class OrderTransfer {
+    constructor(schema = new OrderSchema()) {
+        this.schema = schema;
+    }
+
+    // ===== EXPORT =====
+    toJSON(orders) {
+        return JSON.stringify(orders, null, 2);
+    }
+
+    toCSV(orders) {
+        const rows = orders.map(order => ORDER_EXPORT_COLUMNS.map(column => {
+            switch (column) {
+                case 'items':
+                case 'extras':
+                case 'statusHistory':
+                    return JSON.stringify(order[column] || []);
+                case 'dispatch':
+                case 'sla':
+                case 'schedule':
+                    return order[column] ? JSON.stringify(order[column]) : '';
+                case 'total':
+                    return order.totals ? order.totals.total.toFixed(2) : '';
+                default:
+                    return order[column] ?? '';
+            }
+        }));
+
+        return [ORDER_EXPORT_COLUMNS, ...rows]
+            .map(row => row.map(value => escapeCSVValue(String(value))).join(','))
+            .join('\r\n');
+    }
+
+    // ===== IMPORT =====
+    // Returns plain records; anything the schema can't read is reported by preview()
+    parse(text, format) {
+        if (format === 'json') {
+            const data = JSON.parse(text);
+            return Array.isArray(data) ? data : [data];
+        }
+
+        const [header, ...rows] = parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (!header) return [];
+
+        const columns = header.map(cell => cell.trim());
+        return rows.map(row => this.csvRowToRecord(
+            Object.fromEntries(columns.map((column, index) => [column, row[index] ?? '']))
+        ));
+    }
+
+    csvRowToRecord(row) {
+        // Unreadable lists stay as text so validation reports them
+        const parseList = value => {
+            try {
+                return value ? JSON.parse(value) : [];
+            } catch (error) {
+                return value;
+            }
+        };
+        const toNumber = value => value === '' || value === undefined ? undefined : Number(value);
+
+        // Totals are rebuilt by the schema migrations, and so is the status history of files
+        // exported before it was a column
+        const record = {
+            id: toNumber(row.id),
+            name: row.name,
+            items: parseList(row.items),
+            extras: parseList(row.extras),
+            description: row.description,
+            due: row.due,
+            priority: row.priority,
+            status: row.status,
+            address: row.address,
+            zone: row.zone || null,
+            location: row.location,
+            created: row.created || undefined,
+            revision: toNumber(row.revision),
+            updatedAt: row.updatedAt || undefined,
+            dispatch: row.dispatch ? parseList(row.dispatch) : undefined,
+            sla: row.sla ? parseList(row.sla) : undefined,
+            customerId: row.customerId || undefined,
+            schedule: row.schedule ? parseList(row.schedule) : undefined,
+            updatedBy: row.updatedBy || undefined,
+            statusHistory: row.statusHistory ? parseList(row.statusHistory) : undefined,
+            completedAt: row.completedAt || undefined
+        };
+
+        Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+        return record;
+    }
+
+    // Sort each record into valid, duplicate or invalid without touching existing orders
+    preview(records, existingOrders) {
+        const existingIds = new Set(existingOrders.map(order => order.id));
+        const seenIds = new Set();
+
+        const rows = records.map((record, index) => {
+            const { order, problems } = this.schema.inspect(record);
+            let duplicate = null;
+
+            if (order && seenIds.has(order.id)) {
+                problems.push(`Id ${order.id} appears more than once in the file`);
+            } else if (order && existingIds.has(order.id)) {
+                duplicate = 'existing';
+            }
+            if (order) seenIds.add(order.id);
+
+            return { row: index + 1, order, problems, duplicate };
+        });
+
+        return {
+            rows,
+            valid: rows.filter(row => row.problems.length === 0),
+            invalid: rows.filter(row => row.problems.length > 0),
+            duplicates: rows.filter(row => row.problems.length === 0 && row.duplicate)
+        };
+    }
+}
+
+// ===== CSV HELPERS =====
+function escapeCSVValue(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ORDER_EXPORT_COLUMNS, OrderTransfer, parseCSV, escapeCSVValue };
+}
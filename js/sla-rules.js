@@ -0,0 +1,194 @@
+/*
+    FILE: sla-rules.js - Delivery SLA Rules
+    CONTENTS:
+    1. SLA configuration (rules per priority and zone, log settings)
+    2. SlaRulesEngine class (matching, evaluation, actions)
+    3. Fired-rule log
+
+    FEATURES:
+    - Warn and escalate thresholds per priority and delivery zone
+    - Actions: highlight, toast, raise priority, flag for manager review
+    - Each level fires once per order, even with several tabs open
+    - Late orders are never marked as delivered automatically
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== SLA CONFIGURATION =====
+// Thresholds are minutes past the delivery time (negative = before it).
+// The first rule whose priority and zones match an order applies; empty lists match anything.
+// Override per browser: localStorage.setItem('tomypizza-sla', '{"rules":[...]}')
+const SLA_DEFAULTS = {
+    logKey: 'pizzaSlaLog',
+    logLimit: 200,
+    rules: [
+        {
+            id: 'rush',
+            label: 'Rush orders',
+            priorities: ['high'],
+            zones: [],
+            warnAfter: -5,
+            escalateAfter: 5,
+            warnActions: ['highlight', 'toast'],
+            escalateActions: ['highlight', 'toast', 'flag-review']
+        },
+        {
+            id: 'outer-zones',
+            label: 'Outer zones',
+            priorities: [],
+            zones: ['zone-4', 'zone-5'],
+            warnAfter: 5,
+            escalateAfter: 25,
+            warnActions: ['highlight', 'toast'],
+            escalateActions: ['highlight', 'toast', 'raise-priority', 'flag-review']
+        },
+        {
+            id: 'standard',
+            label: 'Standard',
+            priorities: [],
+            zones: [],
+            warnAfter: 0,
+            escalateAfter: 15,
+            warnActions: ['highlight', 'toast'],
+            escalateActions: ['highlight', 'toast', 'raise-priority', 'flag-review']
+        }
+    ]
+};
+
+const SLA_LEVELS = ['warn', 'escalate'];
+
+// ===== SLA RULES ENGINE CLASS =====
+class SlaRulesEngine {
+    constructor(config = SLA_DEFAULTS, statusMachine = new OrderStatusMachine()) {
+        this.config = config;
+        this.statusMachine = statusMachine;
+    }
+
+    static fromConfig(overrides = {}) {
+        let storedConfig = {};
+        try {
+            storedConfig = JSON.parse(localStorage.getItem('tomypizza-sla')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid SLA configuration:', error);
+        }
+
+        return new SlaRulesEngine({ ...SLA_DEFAULTS, ...storedConfig, ...overrides });
+    }
+
+    // ===== MATCHING =====
+    getRule(order) {
+        return this.config.rules.find(rule =>
+            (rule.priorities.length === 0 || rule.priorities.includes(order.priority)) &&
+            (rule.zones.length === 0 || rule.zones.includes(order.zone))
+        ) || null;
+    }
+
+    // Where an order stands right now; level is null while it is within its SLA
+    evaluate(order, now = new Date()) {
+        const rule = this.getRule(order);
+        if (!rule || !this.statusMachine.isActive(order.status)) {
+            return { rule, level: null, minutesLate: 0 };
+        }
+
+        const minutesLate = (now - new Date(order.due)) / 60000;
+        let level = null;
+        if (minutesLate >= rule.escalateAfter) {
+            level = 'escalate';
+        } else if (minutesLate >= rule.warnAfter) {
+            level = 'warn';
+        }
+
+        return { rule, level, minutesLate };
+    }
+
+    getActions(rule, level) {
+        if (!rule || !level) return [];
+        return level === 'escalate' ? rule.escalateActions : rule.warnActions;
+    }
+
+    // Highlight is drawn from the live evaluation, so it needs no stored state
+    getHighlight(order, now = new Date()) {
+        const { rule, level } = this.evaluate(order, now);
+        return this.getActions(rule, level).includes('highlight') ? level : null;
+    }
+
+    // ===== FIRING =====
+    // Orders whose SLA level went up since the last check; the level reached is kept on the order
+    check(orders, now = new Date()) {
+        return orders.reduce((firings, order) => {
+            const { rule, level, minutesLate } = this.evaluate(order, now);
+            const firedLevel = order.sla ? SLA_LEVELS.indexOf(order.sla.level) : -1;
+
+            if (level && SLA_LEVELS.indexOf(level) > firedLevel) {
+                firings.push({ order, rule, level, minutesLate, actions: this.getActions(rule, level) });
+            }
+            return firings;
+        }, []);
+    }
+
+    // The order after a firing's order-changing actions (raise priority, flag for review)
+    apply(firing, at = new Date().toISOString()) {
+        const { order, rule, level, actions } = firing;
+        const priorities = ['low', 'medium', 'high'];
+        const updated = {
+            ...order,
+            sla: {
+                level,
+                ruleId: rule.id,
+                at,
+                flagged: actions.includes('flag-review') || Boolean(order.sla && order.sla.flagged)
+            }
+        };
+
+        if (actions.includes('raise-priority')) {
+            const index = priorities.indexOf(order.priority);
+            updated.priority = priorities[Math.min(priorities.length - 1, index + 1)];
+        }
+
+        return updated;
+    }
+
+    // A manager has looked at the order; the level stays so the rule doesn't fire again
+    clearReview(order) {
+        return { ...order, sla: { ...order.sla, flagged: false } };
+    }
+
+    // ===== FIRED-RULE LOG =====
+    getLog() {
+        try {
+            const log = JSON.parse(localStorage.getItem(this.config.logKey));
+            return Array.isArray(log) ? log : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable SLA log:', error);
+            return [];
+        }
+    }
+
+    log(firing, at = new Date().toISOString()) {
+        const entry = {
+            orderId: firing.order.id,
+            orderName: firing.order.name,
+            ruleId: firing.rule.id,
+            ruleLabel: firing.rule.label,
+            level: firing.level,
+            minutesLate: Math.round(firing.minutesLate),
+            actions: firing.actions,
+            at
+        };
+
+        const log = [entry, ...this.getLog()].slice(0, this.config.logLimit);
+        localStorage.setItem(this.config.logKey, JSON.stringify(log));
+        return entry;
+    }
+
+    clearLog() {
+        localStorage.removeItem(this.config.logKey);
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SLA_DEFAULTS, SLA_LEVELS, SlaRulesEngine };
+}
@@ -0,0 +1,289 @@
+/*
+    FILE: staff-accounts.js - Staff Accounts, Roles and Permissions
+    CONTENTS:
+    1. Role definitions (cashier, cook, driver, manager)
+    2. StaffAccounts class (accounts stored per browser)
+    3. PIN sign-in for the current tab
+    4. Permission checks for order actions
+
+    FEATURES:
+    - Each member of staff signs in with a 4 to 6 digit PIN
+    - PINs are stored as salted SHA-256 hashes, never as typed; hashing works over plain http too
+    - Only managers delete or clear orders and manage staff
+    - Cooks move orders through the kitchen, drivers only mark them delivered and close out their own runs
+    - A few wrong PINs in a row lock sign-in for a minute, even across reloads
+    - The first account on a new browser is always a manager
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== ROLE DEFINITIONS =====
+// statuses are the ones a role may move an order to; '*' allows every transition
+const STAFF_ROLES = {
+    cashier: {
+        label: 'Cashier',
+        icon: 'fa-cash-register',
+        permissions: ['create', 'edit', 'dispatch'],
+        statuses: ['out-for-delivery', 'cancelled']
+    },
+    cook: {
+        label: 'Cook',
+        icon: 'fa-fire',
+        permissions: [],
+        statuses: ['received', 'prepping', 'in-oven', 'quality-check']
+    },
+    driver: {
+        label: 'Driver',
+        icon: 'fa-motorcycle',
+        permissions: ['close-own-run'],
+        statuses: ['delivered']
+    },
+    manager: {
+        label: 'Manager',
+        icon: 'fa-user-tie',
+        permissions: ['create', 'edit', 'dispatch', 'delete', 'clear', 'review', 'import', 'staff'],
+        statuses: '*'
+    }
+};
+
+// How refused actions are described, e.g. "Drivers can't clear all orders"
+const STAFF_PERMISSIONS = {
+    create: 'place orders',
+    edit: 'edit orders or customers',
+    dispatch: 'dispatch drivers or close out their runs',
+    'close-own-run': 'close out their own delivery runs',
+    delete: 'delete orders, customers or standing orders',
+    clear: 'clear all orders',
+    review: 'sign off SLA reviews or clear the SLA log',
+    import: 'import orders',
+    staff: 'manage staff'
+};
+
+// ===== STAFF CONFIGURATION =====
+const STAFF_DEFAULTS = {
+    storageKey: 'pizzaStaff',
+    // Sign-in lasts for the tab, so a shared till is signed out when it is closed
+    sessionKey: 'tomypizza-staff-session',
+    // Failed attempts are shared by every tab, so reloading doesn't lift a lockout
+    lockoutKey: 'tomypizza-staff-lockout',
+    pinPattern: /^\d{4,6}$/,
+    maxAttempts: 5,
+    lockoutSeconds: 60
+};
+
+// ===== STAFF ACCOUNTS CLASS =====
+class StaffAccounts {
+    constructor(config = STAFF_DEFAULTS, roles = STAFF_ROLES) {
+        this.config = config;
+        this.roles = roles;
+    }
+
+    // ===== ACCOUNTS =====
+    getAccounts() {
+        try {
+            const accounts = JSON.parse(localStorage.getItem(this.config.storageKey));
+            return Array.isArray(accounts) ? accounts : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable staff list:', error);
+            return [];
+        }
+    }
+
+    getAccount(accountId) {
+        return this.getAccounts().find(account => account.id === accountId) || null;
+    }
+
+    hasAccounts() {
+        return this.getAccounts().length > 0;
+    }
+
+    getRole(role) {
+        return this.roles[role] || null;
+    }
+
+    // Throws with a message for the form; the first account is made a manager whatever was picked
+    async addAccount({ name, role, pin }) {
+        const accounts = this.getAccounts();
+        const account = {
+            id: `staff-${Date.now()}`,
+            name: String(name || '').trim(),
+            role: accounts.length === 0 ? 'manager' : role,
+            createdAt: new Date().toISOString()
+        };
+
+        const problem = this.validate(account, accounts) || this.validatePin(pin);
+        if (problem) throw new Error(problem);
+
+        account.pinHash = await this.hashPin(pin, account.id);
+        this.store([...accounts, account]);
+        return account;
+    }
+
+    async resetPin(accountId, pin) {
+        const problem = this.validatePin(pin);
+        if (problem) throw new Error(problem);
+
+        const pinHash = await this.hashPin(pin, accountId);
+        this.store(this.getAccounts().map(account => account.id === accountId ? { ...account, pinHash } : account));
+    }
+
+    // The last manager can't be removed, or nobody could manage staff again
+    remove(accountId) {
+        const accounts = this.getAccounts();
+        const account = accounts.find(candidate => candidate.id === accountId);
+        if (!account) return;
+
+        if (account.role === 'manager' && accounts.filter(candidate => candidate.role === 'manager').length === 1) {
+            throw new Error('The last manager account cannot be removed');
+        }
+        this.store(accounts.filter(candidate => candidate.id !== accountId));
+    }
+
+    validate(account, accounts) {
+        if (!account.name) return 'Enter a name';
+        if (!this.getRole(account.role)) return 'Choose a role';
+
+        const namesake = accounts.find(other => other.name.toLowerCase() === account.name.toLowerCase());
+        return namesake ? `There is already an account called ${namesake.name}` : null;
+    }
+
+    validatePin(pin) {
+        return this.config.pinPattern.test(String(pin || '')) ? null : 'The PIN must be 4 to 6 digits';
+    }
+
+    store(accounts) {
+        localStorage.setItem(this.config.storageKey, JSON.stringify(accounts));
+    }
+
+    // ===== PINS =====
+    // Salted with the account id, so two people with the same PIN don't share a hash
+    async hashPin(pin, salt) {
+        return sha256Hex(`${salt}:${pin}`);
+    }
+
+    // ===== SESSION =====
+    // Resolves to the signed-in account; throws with a message for the form
+    async signIn(accountId, pin) {
+        const lockout = this.getLockout();
+        const waitSeconds = Math.ceil((lockout.lockedUntil - Date.now()) / 1000);
+        if (waitSeconds > 0) throw new Error(`Too many wrong PINs - try again in ${waitSeconds} s`);
+
+        const account = this.getAccount(accountId);
+        if (!account || await this.hashPin(pin, account.id) !== account.pinHash) {
+            const failedAttempts = lockout.failedAttempts + 1;
+            this.setLockout(failedAttempts >= this.config.maxAttempts
+                ? { failedAttempts: 0, lockedUntil: Date.now() + this.config.lockoutSeconds * 1000 }
+                : { failedAttempts, lockedUntil: 0 });
+            throw new Error('Wrong PIN');
+        }
+
+        this.setLockout({ failedAttempts: 0, lockedUntil: 0 });
+        sessionStorage.setItem(this.config.sessionKey, account.id);
+        return account;
+    }
+
+    signOut() {
+        sessionStorage.removeItem(this.config.sessionKey);
+    }
+
+    getLockout() {
+        try {
+            const lockout = JSON.parse(localStorage.getItem(this.config.lockoutKey));
+            return {
+                failedAttempts: Number.isInteger(lockout?.failedAttempts) ? lockout.failedAttempts : 0,
+                lockedUntil: Number.isFinite(lockout?.lockedUntil) ? lockout.lockedUntil : 0
+            };
+        } catch (error) {
+            return { failedAttempts: 0, lockedUntil: 0 };
+        }
+    }
+
+    setLockout(lockout) {
+        localStorage.setItem(this.config.lockoutKey, JSON.stringify(lockout));
+    }
+
+    // A removed account is signed out on its next action
+    getCurrentUser() {
+        const accountId = sessionStorage.getItem(this.config.sessionKey);
+        return accountId ? this.getAccount(accountId) : null;
+    }
+
+    // ===== PERMISSIONS =====
+    can(permission, user = this.getCurrentUser()) {
+        const role = user ? this.getRole(user.role) : null;
+        return Boolean(role && role.permissions.includes(permission));
+    }
+
+    canSetStatus(status, user = this.getCurrentUser()) {
+        const role = user ? this.getRole(user.role) : null;
+        return Boolean(role && (role.statuses === '*' || role.statuses.includes(status)));
+    }
+
+    // "move orders to In the Oven" or "clear all orders"
+    describePermission(permission, status = null, statusMachine = new OrderStatusMachine()) {
+        return permission === 'status'
+            ? `move orders to "${statusMachine.getInfo(status).label}"`
+            : STAFF_PERMISSIONS[permission] || permission;
+    }
+}
+
+// ===== SHA-256 =====
+// crypto.subtle only exists on https and localhost, and a till on the shop network may
+// reach the page over plain http, so PINs are hashed here instead (FIPS 180-4)
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function sha256Hex(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    const bitLength = bytes.length * 8;
+
+    // Padding: a 1 bit, zeros, then the message length as a 64-bit big-endian number
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56) bytes.push(0);
+    for (let shift = 56; shift >= 0; shift -= 8) {
+        bytes.push(shift >= 32 ? Math.floor(bitLength / 2 ** shift) & 0xff : (bitLength >>> shift) & 0xff);
+    }
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+    const words = new Array(64);
+
+    for (let offset = 0; offset < bytes.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            const at = offset + i * 4;
+            words[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+            const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) | 0;
+            const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) | 0;
+        });
+    }
+
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STAFF_ROLES, STAFF_PERMISSIONS, STAFF_DEFAULTS, StaffAccounts, sha256Hex };
+}
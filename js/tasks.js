@@ -8,13 +8,30 @@
     5. Filtering and sorting functionality
     6. Local storage integration
     7. Form handling and validation
-    8. UI updates and notifications
+    8. UI updates, notifications and the edit order modal
+    9. Line-item order builder and legacy order migration
+    10. Order pricing (subtotal, VAT, delivery fee, total)
+    11. Order lifecycle transitions (received → delivered, cancel, refund)
+    12. Undo/redo history for every order change
     
     FEATURES:
     - Add, edit, delete, and complete orders
+    - Edit modal with validation and a review of changes before saving
+    - Undo/redo with toast buttons and Ctrl+Z / Ctrl+Shift+Z
+    - Structured line items (pizza, size, crust, quantity, toppings, notes)
+    - Menu-based prices with Greek VAT breakdown and delivery fee
     - Priority system with color coding
-    - Real-time countdown timers
-    - Filter by status and sort by various criteria
+    - Countdown timers updated every second without re-rendering the table
+    - Kitchen lifecycle statuses with timestamped transitions
+    - Free-text search, compound filters and multi-key sort
+    - Row selection with bulk deliver, priority, zone, export and delete
+    - Kitchen ticket and customer receipt printing
+    - Customers linked to orders, with typeahead lookup and order history
+    - Allergen and dietary needs per pizza, with warnings when the menu breaks them
+    - Pre-orders for capacity-limited 15-minute slots and weekly recurring orders
+    - Delivery ETAs from oven, prep and driver capacity, recomputed as orders move along
+    - Audit log of every order change (field, old and new value, who and when)
+    - Staff sign-in with a PIN; cashier, cook, driver and manager roles decide who may do what
     - Pizza-themed visual indicators
     - Form validation with feedback
     
@@ -23,117 +40,283 @@
     PROJECT: ToMyPizza! Task Management Application
 */
 
+// ===== ORDER BUILDER OPTIONS =====
+// Builder choices come straight from the menu catalog in menu.js
+const ORDER_OPTIONS = {
+    pizzas: MENU_CATALOG.pizzas.map(pizza => pizza.name),
+    sizes: MENU_CATALOG.sizes,
+    crusts: MENU_CATALOG.crusts,
+    toppings: MENU_CATALOG.toppings.map(topping => topping.name),
+    sides: MENU_CATALOG.sides.map(side => side.name),
+    drinks: MENU_CATALOG.drinks.map(drink => drink.name)
+};
+
+// ===== ORDERS TABLE OPTIONS =====
+// Page size is remembered per browser; a render slower than the budget is logged
+const ORDER_TABLE_OPTIONS = {
+    pageSizes: [25, 50, 100, 250],
+    defaultPageSize: 50,
+    pageSizeKey: 'tomypizza-page-size',
+    renderBudget: 50
+};
+
 // ===== TASK MANAGER CLASS =====
 class TaskManager {
     constructor() {
-        // Load tasks from localStorage or create dummy data
-        const storedOrders = localStorage.getItem('pizzaOrders');
-        this.tasks = storedOrders ? JSON.parse(storedOrders) : this.createDemoOrders();
+        this.pricing = new PricingEngine();
+        this.zones = new DeliveryZoneResolver();
+        this.statusMachine = new OrderStatusMachine();
+        this.history = new OrderHistory();
+        
+        // Shared order storage (localStorage, IndexedDB or REST)
+        this.repository = OrderRepository.fromConfig();
+        this.sync = new OrderSync();
+        this.transfer = new OrderTransfer(this.repository.schema);
+        this.dispatch = DispatchPlanner.fromConfig();
+        this.sla = SlaRulesEngine.fromConfig();
+        this.dietary = new DietaryChecker();
+        this.customers = new CustomerDirectory(CUSTOMER_DEFAULTS, this.zones);
+        this.scheduler = OrderScheduler.fromConfig();
+        this.capacity = CapacityPlanner.fromConfig();
+        this.audit = new OrderAuditLog(AUDIT_DEFAULTS, this.statusMachine);
+        this.staff = new StaffAccounts();
+        this.timers = new TimerScheduler();
+        this.tasks = [];
+        
+        // Orders as last saved; the next save is compared with them for the audit log
+        this.auditBase = [];
+        this.auditOrderId = null;
+        
+        // Line items of the order currently being built in the form
+        this.orderBuilder = null;
+        
+        // Edit modal state
+        this.editBuilder = null;
+        this.editingTaskId = null;
+        this.editBase = null;
+        this.pendingEdit = null;
+        
+        // Checked import waiting for confirmation
+        this.pendingImport = null;
+        
+        // Search, filters and sort, restored from the URL of a bookmarked view
+        this.query = new OrderQuery(this.statusMachine).fromParams(new URLSearchParams(location.search));
+        const storedPageSize = parseInt(localStorage.getItem(ORDER_TABLE_OPTIONS.pageSizeKey));
+        this.pageSize = ORDER_TABLE_OPTIONS.pageSizes.includes(storedPageSize)
+            ? storedPageSize
+            : ORDER_TABLE_OPTIONS.defaultPageSize;
         
-        this.currentFilter = 'all';
-        this.currentSort = 'due';
+        // Rendered rows by order id, reused while the order object is unchanged
+        this.renderedRows = new Map();
+        
+        // Orders ticked for bulk actions; kept across pages and filters
+        this.selectedIds = new Set();
         this.init();
     }
     
     // ===== INITIALIZATION =====
-    init() {
+    async init() {
+        await this.loadOrders();
         this.setupEventListeners();
         this.loadTasks();
+        this.updateRecoveryNotice();
         this.updateOrderSummary();
         this.startTimers();
         this.showWelcomeNotification();
     }
     
+    // Load stored orders, or create demo data on first use
+    async loadOrders() {
+        try {
+            const stored = await this.repository.loadAll();
+            if (stored) {
+                this.tasks = stored.orders;
+                this.auditBase = [...this.tasks];
+                if (stored.migrated) this.saveTasks();
+            } else {
+                this.tasks = this.createDemoOrders();
+                this.saveTasks({ actor: 'Demo data' });
+            }
+        } catch (error) {
+            console.error('Error loading orders:', error);
+            this.tasks = [];
+            this.showNotification('Could not load orders from storage', 'danger');
+        }
+    }
+    
+    // ===== STORAGE RECOVERY =====
+    // Orders the schema couldn't read stay quarantined until downloaded or discarded
+    updateRecoveryNotice() {
+        const notice = document.getElementById('storage-recovery');
+        if (!notice) return;
+        
+        const quarantined = this.repository.getQuarantined();
+        notice.classList.toggle('d-none', quarantined.length === 0);
+        if (quarantined.length === 0) return;
+        
+        document.getElementById('storage-recovery-message').innerHTML = `
+            <strong>${quarantined.length} saved order${quarantined.length === 1 ? '' : 's'} could not be read</strong>
+            and ${quarantined.length === 1 ? 'was' : 'were'} set aside. Download a copy for recovery, or discard.
+        `;
+    }
+    
+    setupRecoveryHandlers() {
+        document.getElementById('recovery-download')?.addEventListener('click', () => {
+            this.downloadFile(
+                'tomypizza-unreadable-orders.json',
+                JSON.stringify(this.repository.getQuarantined(), null, 2),
+                'application/json'
+            );
+        });
+        
+        document.getElementById('recovery-dismiss')?.addEventListener('click', () => {
+            if (confirm('Discard the unreadable orders? This cannot be undone.')) {
+                this.repository.clearQuarantine();
+                this.updateRecoveryNotice();
+            }
+        });
+    }
+    
     // ===== DEMO DATA CREATION =====
     createDemoOrders() {
         const now = new Date();
         const demoOrders = [
             {
                 id: 1001,
-                name: "Large Pepperoni Pizza",
+                items: [
+                    { pizza: 'Pepperoni', size: 'large', crust: 'classic', quantity: 1,
+                      toppings: { add: ['Extra Cheese', 'Pepperoni'], remove: [] }, notes: 'Well-done' }
+                ],
                 description: "Extra cheese, double pepperoni, well-done crust",
                 due: new Date(now.getTime() + 15 * 60000).toISOString(), // 15 minutes
                 priority: "high",
-                status: "pending",
+                status: "in-oven",
                 created: new Date(now.getTime() - 5 * 60000).toISOString(),
-                location: "Aghia Paraskevi"
+                address: "Mesogeion 402, 153 42 Aghia Paraskevi"
             },
             {
                 id: 1002,
-                name: "Family Size Margherita",
+                items: [
+                    { pizza: 'Margherita', size: 'family', crust: 'classic', quantity: 1,
+                      toppings: { add: ['Basil', 'Extra Cheese'], remove: [] }, notes: 'Light sauce' }
+                ],
+                extras: [
+                    { kind: 'side', name: 'Garlic Bread', quantity: 1 },
+                    { kind: 'drink', name: 'Coca-Cola 1.5L', quantity: 1 }
+                ],
                 description: "Fresh basil, extra mozzarella, light sauce",
                 due: new Date(now.getTime() + 25 * 60000).toISOString(), // 25 minutes
                 priority: "medium",
-                status: "pending",
+                status: "prepping",
                 created: new Date(now.getTime() - 10 * 60000).toISOString(),
-                location: "Chalandri"
+                address: "Andrea Papandreou 35, 152 32 Chalandri"
             },
             {
                 id: 1003,
-                name: "Medium BBQ Chicken Pizza",
+                items: [
+                    { pizza: 'BBQ Chicken', size: 'medium', crust: 'stuffed', quantity: 1,
+                      toppings: { add: [], remove: ['Onions'] }, notes: 'Extra BBQ sauce' }
+                ],
                 description: "No onions, extra BBQ sauce, stuffed crust",
                 due: new Date(now.getTime() + 35 * 60000).toISOString(), // 35 minutes
                 priority: "low",
-                status: "pending",
+                status: "received",
                 created: new Date(now.getTime() - 15 * 60000).toISOString(),
-                location: "Marousi"
+                address: "Kifisias 120, 151 24 Marousi"
             },
             {
                 id: 1004,
-                name: "2x Veggie Supreme Pizzas",
+                items: [
+                    { pizza: 'Veggie Supreme', size: 'large', crust: 'gluten-free', quantity: 1,
+                      toppings: { add: ['Mushrooms', 'Peppers'], remove: [] }, notes: '', dietary: ['gluten'] },
+                    { pizza: 'Veggie Supreme', size: 'large', crust: 'classic', quantity: 1,
+                      toppings: { add: ['Mushrooms', 'Peppers'], remove: [] }, notes: '' }
+                ],
                 description: "One with gluten-free crust, extra vegetables",
                 due: new Date(now.getTime() - 10 * 60000).toISOString(), // Overdue
                 priority: "medium",
-                status: "pending",
+                status: "out-for-delivery",
                 created: new Date(now.getTime() - 45 * 60000).toISOString(),
-                location: "Kifisia"
+                address: "Levidou 14, 145 62 Kifisia"
             },
             {
                 id: 1005,
-                name: "Hawaiian Pizza",
+                items: [
+                    { pizza: 'Hawaiian', size: 'large', crust: 'classic', quantity: 1,
+                      toppings: { add: ['Ham'], remove: [] }, notes: 'Light cheese, pineapple on half' }
+                ],
                 description: "Extra ham, light cheese, pineapple on half",
                 due: new Date(now.getTime() - 30 * 60000).toISOString(),
                 priority: "high",
-                status: "completed",
+                status: "delivered",
                 created: new Date(now.getTime() - 60 * 60000).toISOString(),
                 completedAt: new Date(now.getTime() - 25 * 60000).toISOString(),
-                location: "Nea Smyrni"
+                address: "Omirou 20, 171 21 Nea Smyrni"
             },
             {
                 id: 1006,
-                name: "Meat Lovers Pizza",
+                items: [
+                    { pizza: 'Meat Lovers', size: 'large', crust: 'stuffed', quantity: 1,
+                      toppings: { add: [], remove: [] }, notes: 'Extra sauce' }
+                ],
+                extras: [
+                    { kind: 'side', name: 'Chicken Wings', quantity: 1 }
+                ],
                 description: "All meats, stuffed crust, extra sauce",
                 due: new Date(now.getTime() - 45 * 60000).toISOString(),
                 priority: "high",
-                status: "completed",
+                status: "delivered",
                 created: new Date(now.getTime() - 90 * 60000).toISOString(),
                 completedAt: new Date(now.getTime() - 40 * 60000).toISOString(),
-                location: "Aghia Paraskevi"
+                address: "Agiou Ioannou 8, 153 43 Aghia Paraskevi"
             },
             {
                 id: 1007,
-                name: "Four Cheese Pizza",
+                items: [
+                    { pizza: 'Four Cheese', size: 'medium', crust: 'classic', quantity: 1,
+                      toppings: { add: ['Mushrooms', 'Black Olives'], remove: [] }, notes: '' }
+                ],
                 description: "Add mushrooms and black olives",
                 due: new Date(now.getTime() + 20 * 60000).toISOString(), // 20 minutes
                 priority: "medium",
-                status: "pending",
+                status: "received",
                 created: new Date(now.getTime() - 8 * 60000).toISOString(),
-                location: "Chalandri"
+                address: "Kolokotroni 5, 152 33 Chalandri"
             },
             {
                 id: 1008,
-                name: "Greek Style Pizza",
+                items: [
+                    { pizza: 'Greek Style', size: 'medium', crust: 'thin', quantity: 1,
+                      toppings: { add: ['Feta', 'Kalamata Olives'], remove: [] }, notes: 'Oregano on top' }
+                ],
                 description: "Feta cheese, Kalamata olives, oregano",
                 due: new Date(now.getTime() + 40 * 60000).toISOString(), // 40 minutes
                 priority: "low",
-                status: "pending",
+                status: "received",
                 created: new Date(now.getTime() - 3 * 60000).toISOString(),
-                location: "Marousi"
+                address: "Vasilissis Sofias 60, 151 24 Marousi"
             }
         ];
         
-        // Save demo orders to localStorage
-        this.saveTasks();
+        // Derive the display name, delivery zone, prices and status history
+        demoOrders.forEach(order => {
+            const delivery = this.zones.resolve(order.address);
+            order.zone = delivery.zone.id;
+            order.location = delivery.suburb;
+            order.items = order.items.map(item => this.normalizeItem(item));
+            order.extras = order.extras || [];
+            order.name = this.describeItems(order.items);
+            order.totals = this.pricing.priceOrder(order);
+            order.statusHistory = this.statusMachine.seedHistory(order);
+            order.dispatch = null;
+            order.sla = null;
+            order.customerId = null;
+            order.schedule = null;
+            order.updatedBy = null;
+            order.revision = 1;
+            order.updatedAt = order.created;
+        });
+        
         return demoOrders;
     }
     
@@ -142,79 +325,228 @@ class TaskManager {
         const tasksContainer = document.getElementById('tasks-list');
         if (!tasksContainer) return;
         
+        this.kitchenDisplay?.render();
+        this.renderDispatchPanel();
+        this.updateOrderEta();
+        
         if (this.tasks.length === 0) {
+            this.renderedRows.clear();
             this.showEmptyState(tasksContainer);
+            this.renderPagination(null);
+            this.updateSelectionUI();
             return;
         }
         
-        // Filter and sort tasks
+        const started = performance.now();
+        
+        // Filter, sort, then render only the current page
         let filteredTasks = this.filterTasks(this.tasks);
         filteredTasks = this.sortTasks(filteredTasks);
+        const page = this.query.paginate(filteredTasks, this.pageSize);
+        
+        if (page.orders.length > 0) {
+            this.renderRows(tasksContainer, page.orders);
+        } else {
+            this.renderedRows.clear();
+            tasksContainer.innerHTML = this.createNoMatchRow();
+        }
+        this.renderPagination(page);
+        this.updateSelectionUI();
+        this.updateEtas();
+        
+        document.getElementById('order-count').textContent = this.query.isFiltered()
+            ? `${filteredTasks.length} of ${this.tasks.length} orders`
+            : `${filteredTasks.length} orders`;
+        
+        this.lastRenderTime = performance.now() - started;
+        if (this.lastRenderTime > ORDER_TABLE_OPTIONS.renderBudget) {
+            console.warn(`Orders table took ${Math.round(this.lastRenderTime)} ms for ${this.tasks.length} orders (budget ${ORDER_TABLE_OPTIONS.renderBudget} ms)`);
+        }
+    }
+    
+    // Keyed update: unchanged orders keep their <tr>, so focus, open dropdowns
+    // and the scroll position survive an edit elsewhere in the list
+    renderRows(container, tasks) {
+        const rows = new Map();
+        
+        tasks.forEach((task, index) => {
+            const rendered = this.renderedRows.get(task.id);
+            let row = rendered && rendered.task === task ? rendered.row : null;
+            
+            if (!row) {
+                const template = document.createElement('template');
+                template.innerHTML = this.createTaskRow(task).trim();
+                row = template.content.firstElementChild;
+            }
+            rows.set(task.id, { task, row });
+            
+            if (container.children[index] !== row) {
+                container.insertBefore(row, container.children[index] || null);
+            }
+        });
+        
+        while (container.children.length > tasks.length) {
+            container.lastElementChild.remove();
+        }
+        this.renderedRows = rows;
+    }
+    
+    renderPagination(page) {
+        const nav = document.getElementById('orders-pagination');
+        if (!nav) return;
+        
+        if (!page || page.total === 0) {
+            nav.classList.add('d-none');
+            return;
+        }
+        nav.classList.remove('d-none');
+        
+        document.getElementById('orders-page-info').textContent =
+            `Showing ${page.start + 1}–${page.start + page.orders.length} of ${page.total}`;
+        
+        // First, last and the pages around the current one
+        const pages = [...new Set([1, page.page - 1, page.page, page.page + 1, page.pageCount])]
+            .filter(number => number >= 1 && number <= page.pageCount)
+            .sort((a, b) => a - b);
+        
+        const pageItem = (number, label, disabled = false, active = false) => `
+            <li class="page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}">
+                <button type="button" class="page-link" data-page="${number}" ${disabled ? 'disabled' : ''}
+                        ${active ? 'aria-current="page"' : ''}>${label}</button>
+            </li>
+        `;
         
-        // Render tasks
-        tasksContainer.innerHTML = filteredTasks.map(task => this.createTaskRow(task)).join('');
-        document.getElementById('order-count').textContent = `${filteredTasks.length} orders`;
+        document.getElementById('orders-pages').innerHTML = [
+            pageItem(page.page - 1, '<span aria-hidden="true">&laquo;</span><span class="visually-hidden">Previous page</span>', page.page === 1),
+            ...pages.map((number, index) => {
+                const gap = index > 0 && number - pages[index - 1] > 1
+                    ? '<li class="page-item disabled"><span class="page-link">…</span></li>'
+                    : '';
+                return gap + pageItem(number, number, false, number === page.page);
+            }),
+            pageItem(page.page + 1, '<span aria-hidden="true">&raquo;</span><span class="visually-hidden">Next page</span>', page.page === page.pageCount)
+        ].join('');
+    }
+    
+    setupPaginationHandlers() {
+        const nav = document.getElementById('orders-pagination');
+        if (!nav) return;
+        
+        const pageSizeSelect = document.getElementById('orders-page-size');
+        pageSizeSelect.innerHTML = ORDER_TABLE_OPTIONS.pageSizes
+            .map(size => `<option value="${size}" ${size === this.pageSize ? 'selected' : ''}>${size} per page</option>`)
+            .join('');
+        
+        pageSizeSelect.addEventListener('change', () => {
+            // Stay on the page that holds the first order currently shown
+            const firstShown = (this.query.page - 1) * this.pageSize;
+            this.pageSize = parseInt(pageSizeSelect.value);
+            localStorage.setItem(ORDER_TABLE_OPTIONS.pageSizeKey, this.pageSize);
+            this.query.page = Math.floor(firstShown / this.pageSize) + 1;
+            this.applyQuery({ keepPage: true });
+        });
+        
+        nav.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-page]');
+            if (!button || button.disabled) return;
+            
+            this.query.page = parseInt(button.dataset.page);
+            this.applyQuery({ keepPage: true });
+            document.getElementById('tasks-table')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
     }
     
     createTaskRow(task) {
-        const dueDate = new Date(task.due);
         const now = new Date();
-        const timeDiff = dueDate - now;
-        const isOverdue = timeDiff <= 0 && task.status !== 'completed';
         
         // Calculate time display
-        const timerDisplay = this.createTimerDisplay(task, timeDiff);
+        const timer = this.getTimerState(task, now);
+        const timerDisplay = this.createTimerDisplay(task, now);
         
         // Priority styling
         const priorityInfo = this.getPriorityInfo(task.priority);
         
         // Status badge
-        const statusBadge = task.status === 'completed' 
-            ? '<span class="badge bg-success">Delivered</span>'
-            : '<span class="badge bg-warning text-dark">In Progress</span>';
+        const statusBadge = this.createStatusBadge(task);
         
-        // Pizza decoration based on type
-        const pizzaDecoration = this.getPizzaDecoration(task.name);
+        // Icon and warning from the allergen and dietary data of the order's lines
+        const dietaryCheck = this.dietary.checkOrder(task);
+        const pizzaDecoration = this.getPizzaDecoration(task, dietaryCheck);
         
         // Format due date
-        const formattedDue = dueDate.toLocaleDateString('en-GB', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+        const formattedDue = this.formatDueDate(task.due);
         
-        // Row styling for overdue tasks
-        const rowClass = isOverdue ? 'table-danger' : '';
+        // Row styling for late orders
+        const rowClass = this.getRowClass(task, now);
+        
+        const customerName = this.getCustomerName(task.customerId);
         
         return `
             <tr data-id="${task.id}" class="${rowClass}">
+                <td>
+                    <input type="checkbox" class="form-check-input row-select" ${this.selectedIds.has(task.id) ? 'checked' : ''}
+                           aria-label="Select order ${this.escapeHTML(task.name)}">
+                </td>
                 <td>
                     <div class="d-flex align-items-center">
                         ${pizzaDecoration}
                         <div class="ms-2">
-                            <div class="fw-medium">${task.name}</div>
-                            <small class="text-muted">${task.location || 'Athens'}</small>
+                            <div class="fw-medium">${this.escapeHTML(task.name)}</div>
+                            ${this.createAllergyWarning(dietaryCheck)}
+                            ${this.createItemsList(task.items, task.extras)}
+                            <small class="text-muted" title="${this.escapeHTML(task.address || '')}">${this.escapeHTML(task.location || 'Athens')}</small>
+                            ${customerName ? `
+                                <button type="button" class="btn btn-link btn-sm p-0 d-block btn-customer" data-customer="${task.customerId}">
+                                    <i class="fas fa-user me-1" aria-hidden="true"></i>${this.escapeHTML(customerName)}
+                                </button>
+                            ` : ''}
+                            ${task.dispatch ? `<small class="text-muted d-block"><i class="fas fa-motorcycle me-1" aria-hidden="true"></i>${this.escapeHTML(task.dispatch.driverName)}</small>` : ''}
                         </div>
                     </div>
                 </td>
-                <td>${task.description || 'No special instructions'}</td>
+                <td>${this.escapeHTML(task.description) || 'No special instructions'}</td>
                 <td>
                     <div class="small text-muted">${formattedDue}</div>
+                    <div class="small" data-eta-for="${task.id}"></div>
+                    ${this.createScheduleBadge(task)}
                 </td>
                 <td><span class="badge ${priorityInfo.class}">${priorityInfo.text}</span></td>
-                <td>${statusBadge}</td>
-                <td>${timerDisplay}</td>
+                <td>${this.createTotalDisplay(task.totals)}</td>
+                <td>
+                    ${statusBadge}
+                    ${task.sla?.flagged ? `
+                        <button type="button" class="btn btn-sm btn-outline-danger btn-review mt-1" 
+                                title="Flagged for manager review - click when reviewed" aria-label="Mark order as reviewed">
+                            <i class="fas fa-flag me-1" aria-hidden="true"></i>Review
+                        </button>
+                    ` : ''}
+                </td>
+                <td data-timer-for="${task.id}" data-timer-text="${timer.text}">${timerDisplay}</td>
                 <td>
                     <div class="btn-group btn-group-sm" role="group" aria-label="Order actions">
                         <button class="btn btn-outline-warning btn-edit" 
                                 title="Edit Order" aria-label="Edit order">
                             <i class="fas fa-edit" aria-hidden="true"></i>
                         </button>
-                        <button class="btn btn-outline-success btn-complete" 
-                                title="Mark as Delivered" aria-label="Mark as delivered">
-                            <i class="fas fa-check" aria-hidden="true"></i>
+                        ${this.createStatusActions(task)}
+                        <div class="btn-group btn-group-sm" role="group">
+                            <button type="button" class="btn btn-outline-secondary dropdown-toggle" 
+                                    data-bs-toggle="dropdown" data-bs-popper-config='{"strategy":"fixed"}' 
+                                    aria-expanded="false" title="Print" aria-label="Print ticket or receipt">
+                                <i class="fas fa-print" aria-hidden="true"></i>
+                            </button>
+                            <ul class="dropdown-menu dropdown-menu-end">
+                                <li><button type="button" class="dropdown-item btn-print" data-print="ticket">
+                                    <i class="fas fa-fire me-2" aria-hidden="true"></i>Kitchen ticket
+                                </button></li>
+                                <li><button type="button" class="dropdown-item btn-print" data-print="receipt">
+                                    <i class="fas fa-receipt me-2" aria-hidden="true"></i>Customer receipt
+                                </button></li>
+                            </ul>
+                        </div>
+                        <button type="button" class="btn btn-outline-secondary btn-audit" 
+                                title="Order History" aria-label="Show order history">
+                            <i class="fas fa-history" aria-hidden="true"></i>
                         </button>
                         <button class="btn btn-outline-danger btn-delete" 
                                 title="Delete Order" aria-label="Delete order">
@@ -226,27 +558,162 @@ class TaskManager {
         `;
     }
     
-    createTimerDisplay(task, timeDiff) {
-        if (task.status === 'completed') {
-            return '<span class="badge bg-success">Delivered</span>';
+    createStatusBadge(task) {
+        const statusInfo = this.statusMachine.getInfo(task.status);
+        const since = this.statusMachine.getStatusTime(task, task.status);
+        const sinceText = since
+            ? new Date(since).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })
+            : '';
+        
+        return `
+            <span class="badge ${statusInfo.badge}">
+                <i class="fas ${statusInfo.icon} me-1" aria-hidden="true"></i>${statusInfo.label}
+            </span>
+            ${sinceText ? `<small class="text-muted d-block">since ${sinceText}</small>` : ''}
+        `;
+    }
+    
+    createStatusActions(task) {
+        const nextStatus = this.getAdvanceStatus(task.status);
+        const otherStatuses = this.statusMachine.getInfo(task.status).next
+            .filter(status => status !== nextStatus && status !== 'out-for-delivery');
+        
+        let advanceButton = '';
+        if (nextStatus) {
+            const nextLabel = this.statusMachine.getInfo(nextStatus).label;
+            const title = nextStatus === 'delivered' ? 'Mark as Delivered' : `Move to ${nextLabel}`;
+            const icon = nextStatus === 'delivered' ? 'fa-check' : 'fa-forward';
+            advanceButton = `
+                <button class="btn btn-outline-success btn-advance" data-status="${nextStatus}"
+                        title="${title}" aria-label="${title}">
+                    <i class="fas ${icon}" aria-hidden="true"></i>
+                </button>
+            `;
+        }
+        
+        if (otherStatuses.length === 0) return advanceButton;
+        
+        return `
+            ${advanceButton}
+            <div class="btn-group btn-group-sm" role="group">
+                <button type="button" class="btn btn-outline-secondary dropdown-toggle" 
+                        data-bs-toggle="dropdown" aria-expanded="false" 
+                        title="Change Status" aria-label="Change order status">
+                    <i class="fas fa-exchange-alt" aria-hidden="true"></i>
+                </button>
+                <ul class="dropdown-menu dropdown-menu-end">
+                    ${otherStatuses.map(status => {
+                        const info = this.statusMachine.getInfo(status);
+                        return `
+                            <li>
+                                <button class="dropdown-item btn-status" type="button" data-status="${status}">
+                                    <i class="fas ${info.icon} me-2" aria-hidden="true"></i>${info.label}
+                                </button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    }
+    
+    // Row styling from the SLA rules, plain red for other overdue orders
+    getRowClass(task, now = new Date()) {
+        const slaHighlight = this.sla.getHighlight(task, now);
+        const isOverdue = new Date(task.due) <= now && this.statusMachine.isActive(task.status);
+        
+        if (slaHighlight === 'warn') return 'table-warning';
+        return slaHighlight === 'escalate' || isOverdue ? 'table-danger' : '';
+    }
+    
+    // Shared by the orders table and the kitchen display
+    getTimerState(task, now = new Date()) {
+        const timeDiff = new Date(task.due) - now;
+        
+        if (!this.statusMachine.isActive(task.status)) {
+            return { state: 'done', timeDiff, text: this.statusMachine.getInfo(task.status).label };
         }
         
         if (timeDiff <= 0) {
-            const overdueMinutes = Math.abs(Math.floor(timeDiff / (1000 * 60)));
-            return `<span class="badge bg-danger">Overdue ${overdueMinutes}m</span>`;
+            return { state: 'overdue', timeDiff, text: `Overdue ${this.formatDuration(-timeDiff)}` };
         }
         
-        const hours = Math.floor(timeDiff / (1000 * 60 * 60));
-        const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
+        // Less than 15 minutes left counts as due soon
+        const state = timeDiff <= 15 * 60 * 1000 ? 'due-soon' : 'on-time';
+        return { state, timeDiff, text: this.formatDuration(timeDiff) };
+    }
+    
+    // 3725000 -> "1h 02m 05s", 305000 -> "5m 05s"
+    formatDuration(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}h ${String(minutes).padStart(2, '0')}m ${seconds}s`
+            : `${minutes}m ${seconds}s`;
+    }
+    
+    createTimerDisplay(task, now = new Date()) {
+        const timer = this.getTimerState(task, now);
+        
+        if (timer.state === 'done') {
+            const statusInfo = this.statusMachine.getInfo(task.status);
+            return `<span class="badge ${statusInfo.badge}">${timer.text}</span>`;
+        }
         
-        let displayText = '';
-        if (hours > 0) {
-            displayText = `${hours}h ${minutes}m`;
-        } else {
-            displayText = `${minutes}m`;
+        if (timer.state === 'overdue') {
+            return `<span class="badge bg-danger">${timer.text}</span>`;
         }
         
-        return `<span class="task-timer">${displayText}</span>`;
+        return `<span class="task-timer">${timer.text}</span>`;
+    }
+    
+    createItemsList(items = [], extras = []) {
+        if (items.length === 0 && extras.length === 0) return '';
+        
+        // Single-item orders already show the item as the row title
+        const showLabel = items.length > 1;
+        
+        const lines = items.map(item => {
+            const modifiers = [
+                ...item.toppings.add.map(topping => `+ ${this.escapeHTML(topping)}`),
+                ...item.toppings.remove.map(topping => `− ${this.escapeHTML(topping)}`)
+            ];
+            
+            const { conflicts } = this.dietary.checkItem(item);
+            
+            return `
+                <li>
+                    ${showLabel ? this.escapeHTML(this.describeItem(item)) : ''}
+                    <span class="text-muted">${this.getCrustLabel(item.crust)} crust</span>
+                    ${this.createDietaryBadges(this.dietary.describeItem(item))}
+                    ${item.dietary?.length ? `<div>${this.createNeedBadges(item.dietary, conflicts)}</div>` : ''}
+                    ${modifiers.length ? `<div class="order-item-modifiers">${modifiers.join(', ')}</div>` : ''}
+                    ${item.notes ? `<div class="order-item-notes">${this.escapeHTML(item.notes)}</div>` : ''}
+                </li>
+            `;
+        });
+        
+        extras.forEach(extra => {
+            lines.push(`<li class="text-muted">+ ${this.escapeHTML(this.describeExtra(extra))}</li>`);
+        });
+        
+        return `<ul class="order-items list-unstyled small mb-1">${lines.join('')}</ul>`;
+    }
+    
+    createTotalDisplay(totals) {
+        if (!totals) return '<span class="text-muted">—</span>';
+        
+        const deliveryText = totals.deliveryFee > 0 ? `Delivery ${formatPrice(totals.deliveryFee)}` : 'Free delivery';
+        return `
+            <div class="fw-medium order-total">${formatPrice(totals.total)}</div>
+            <small class="text-muted d-block" title="VAT 13%: ${formatPrice(totals.vat.reduced)}, VAT 24%: ${formatPrice(totals.vat.standard)}">
+                incl. VAT ${formatPrice(totals.vat.total)}
+            </small>
+            <small class="text-muted d-block">${deliveryText}</small>
+        `;
     }
     
     getPriorityInfo(priority) {
@@ -258,30 +725,73 @@ class TaskManager {
         return priorities[priority] || priorities.medium;
     }
     
-    getPizzaDecoration(pizzaName) {
-        const lowerName = pizzaName.toLowerCase();
-        
-        if (lowerName.includes('pepperoni')) {
-            return '<i class="fas fa-pepper-hot text-danger"></i>';
-        } else if (lowerName.includes('margherita') || lowerName.includes('veggie')) {
-            return '<i class="fas fa-leaf text-success"></i>';
-        } else if (lowerName.includes('bbq') || lowerName.includes('chicken')) {
-            return '<i class="fas fa-drumstick-bite text-danger"></i>';
-        } else if (lowerName.includes('cheese')) {
-            return '<i class="fas fa-cheese text-warning"></i>';
-        } else if (lowerName.includes('hawaiian')) {
-            return '<i class="fas fa-pineapple text-warning"></i>';
-        } else if (lowerName.includes('greek')) {
-            return '<i class="fas fa-flag text-blue"></i>';
-        } else {
-            return '<i class="fas fa-pizza-slice text-warning"></i>';
+    // Icon from the menu's dietary data: a warning for allergies, else the diet every pizza suits
+    getPizzaDecoration(task, check = this.dietary.checkOrder(task)) {
+        if (this.dietary.needsWarning(check)) {
+            return '<i class="fas fa-triangle-exclamation text-danger" title="Allergy or dietary need" aria-hidden="true"></i>';
+        }
+        
+        const diet = this.dietary.getOrderDiet(task);
+        if (diet) {
+            const tag = this.dietary.getTag(diet);
+            return `<i class="fas ${tag.icon} text-success" title="${tag.label}" aria-hidden="true"></i>`;
         }
+        return '<i class="fas fa-pizza-slice text-warning" aria-hidden="true"></i>';
+    }
+    
+    // Small badges for what a line contains and which diets it suits
+    createDietaryBadges(description) {
+        const badges = [
+            ...description.suitableFor.map(id => {
+                const tag = this.dietary.getTag(id);
+                return `<span class="badge dietary-badge dietary-badge-diet" title="${tag.label}"><i class="fas ${tag.icon}" aria-hidden="true"></i><span class="visually-hidden">${tag.label}</span></span>`;
+            }),
+            ...description.contains.map(id => {
+                const tag = this.dietary.getTag(id);
+                return `<span class="badge dietary-badge dietary-badge-allergen" title="Contains ${tag.label.toLowerCase()}">${tag.short}<span class="visually-hidden"> contains ${tag.label.toLowerCase()}</span></span>`;
+            })
+        ];
+        return badges.length ? `<span class="dietary-badges">${badges.join('')}</span>` : '';
+    }
+    
+    createNeedBadges(needs, conflicts = []) {
+        return needs.map(id => {
+            const tag = this.dietary.getTag(id);
+            const broken = conflicts.some(conflict => conflict.need === id);
+            return `<span class="badge ${broken ? 'bg-danger' : 'bg-warning text-dark'} me-1">${broken ? '<i class="fas fa-triangle-exclamation me-1" aria-hidden="true"></i>' : ''}${tag.needLabel}</span>`;
+        }).join('');
+    }
+    
+    // Shown on the order row and the kitchen display whenever an allergy is flagged or a need is broken
+    createAllergyWarning(check) {
+        if (!this.dietary.needsWarning(check)) return '';
+        
+        const conflicts = [
+            ...check.lines.flatMap(line => line.conflicts.map(conflict => ({ ...conflict, where: this.describeItem(line.item) }))),
+            ...check.extras.flatMap(line => line.conflicts.map(conflict => ({ ...conflict, where: line.extra.name })))
+        ];
+        const needs = check.needs.map(id => this.dietary.getTag(id).needLabel).join(', ');
+        
+        return `
+            <div class="allergy-warning ${conflicts.length ? 'allergy-warning-conflict' : ''}" role="note">
+                <i class="fas fa-triangle-exclamation me-1" aria-hidden="true"></i><strong>Allergy / diet:</strong> ${needs}
+                ${conflicts.map(conflict => {
+                    const sources = conflict.sources.filter(source => source !== conflict.where);
+                    return `
+                        <div>
+                            ${this.escapeHTML(conflict.where)}: not ${this.dietary.getTag(conflict.need).needLabel.toLowerCase()}
+                            ${sources.length ? `(${sources.map(source => this.escapeHTML(source)).join(', ')})` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
     }
     
     showEmptyState(container) {
         container.innerHTML = `
             <tr class="text-center">
-                <td colspan="7" class="py-5">
+                <td colspan="9" class="py-5">
                     <i class="fas fa-pizza-slice fa-3x text-warning mb-3"></i>
                     <h4 class="fw-bold mb-2">No Pizza Orders Yet!</h4>
                     <p class="text-muted">Place your first order to get started.</p>
@@ -298,335 +808,3589 @@ class TaskManager {
         });
     }
     
-    // ===== FILTERING AND SORTING =====
-    filterTasks(tasks) {
-        switch(this.currentFilter) {
-            case 'pending':
-                return tasks.filter(task => task.status === 'pending');
-            case 'completed':
-                return tasks.filter(task => task.status === 'completed');
-            default:
-                return tasks;
-        }
+    createNoMatchRow() {
+        return `
+            <tr class="text-center">
+                <td colspan="9" class="py-4 text-muted">
+                    <i class="fas fa-search me-2" aria-hidden="true"></i>No orders match the current search and filters.
+                </td>
+            </tr>
+        `;
     }
     
-    sortTasks(tasks) {
-        return [...tasks].sort((a, b) => {
-            switch(this.currentSort) {
-                case 'name':
-                    return a.name.localeCompare(b.name);
-                case 'priority':
-                    const priorityOrder = { high: 3, medium: 2, low: 1 };
-                    return priorityOrder[b.priority] - priorityOrder[a.priority];
-                case 'due':
-                default:
-                    return new Date(a.due) - new Date(b.due);
-            }
-        });
+    // ===== LINE ITEMS =====
+    normalizeItem(itemData) {
+        const toppings = itemData.toppings || {};
+        const cleanList = list => (Array.isArray(list) ? list : [])
+            .map(topping => String(topping).trim())
+            .filter(Boolean);
+        
+        return {
+            pizza: String(itemData.pizza || '').trim() || 'Custom',
+            size: ORDER_OPTIONS.sizes.some(size => size.value === itemData.size) ? itemData.size : 'medium',
+            crust: ORDER_OPTIONS.crusts.some(crust => crust.value === itemData.crust) ? itemData.crust : 'classic',
+            quantity: Math.max(1, parseInt(itemData.quantity) || 1),
+            toppings: {
+                add: cleanList(toppings.add),
+                remove: cleanList(toppings.remove)
+            },
+            notes: String(itemData.notes || '').trim(),
+            dietary: this.dietary.normalize(itemData.dietary)
+        };
     }
     
-    // ===== CRUD OPERATIONS =====
-    addTask(taskData) {
-        const newTask = {
-            id: Date.now(),
-            name: taskData.name.trim(),
-            description: taskData.description?.trim() || '',
-            due: taskData.due,
-            priority: taskData.priority || 'medium',
-            status: 'pending',
-            created: new Date().toISOString(),
-            location: this.getRandomAthensLocation()
-        };
-        
-        this.tasks.push(newTask);
-        this.saveTasks();
-        this.loadTasks();
-        this.updateOrderSummary();
-        
-        // Show success notification
-        this.showNotification(`Order added: ${newTask.name}`, 'success');
-        
-        // Scroll to new task
-        setTimeout(() => {
-            const newRow = document.querySelector(`[data-id="${newTask.id}"]`);
-            if (newRow) {
-                newRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                newRow.classList.add('highlight-new');
-                setTimeout(() => newRow.classList.remove('highlight-new'), 2000);
-            }
-        }, 100);
+    describeItem(item) {
+        const quantity = item.quantity > 1 ? `${item.quantity}x ` : '';
+        const plural = item.quantity > 1 ? 'Pizzas' : 'Pizza';
+        return `${quantity}${this.getSizeLabel(item.size)} ${item.pizza} ${plural}`;
     }
     
-    editTask(taskId, updatedData) {
-        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
-        if (taskIndex !== -1) {
-            this.tasks[taskIndex] = { ...this.tasks[taskIndex], ...updatedData };
-            this.saveTasks();
-            this.loadTasks();
-            this.updateOrderSummary();
-            this.showNotification('Order updated successfully', 'info');
-        }
+    describeItems(items) {
+        return items.map(item => this.describeItem(item)).join(', ');
     }
     
-    deleteTask(taskId) {
-        if (confirm('Are you sure you want to delete this pizza order? This action cannot be undone.')) {
-            this.tasks = this.tasks.filter(task => task.id !== taskId);
-            this.saveTasks();
-            this.loadTasks();
-            this.updateOrderSummary();
-            this.showNotification('Order deleted', 'warning');
-        }
+    normalizeExtra(extraData) {
+        return {
+            kind: extraData.kind === 'drink' ? 'drink' : 'side',
+            name: String(extraData.name || '').trim(),
+            quantity: Math.max(1, parseInt(extraData.quantity) || 1)
+        };
     }
     
-    markAsCompleted(taskId) {
-        const task = this.tasks.find(task => task.id === taskId);
-        if (task && task.status !== 'completed') {
-            task.status = 'completed';
-            task.completedAt = new Date().toISOString();
-            this.saveTasks();
-            this.loadTasks();
-            this.updateOrderSummary();
-            this.showNotification(`Order delivered: ${task.name}`, 'success');
-        }
+    describeExtra(extra) {
+        return `${extra.quantity}x ${extra.name}`;
     }
     
-    // ===== LOCAL STORAGE =====
-    saveTasks() {
-        try {
-            localStorage.setItem('pizzaOrders', JSON.stringify(this.tasks));
-        } catch (error) {
-            console.error('Error saving tasks to localStorage:', error);
-            this.showNotification('Error saving orders', 'danger');
-        }
+    getSizeLabel(size) {
+        const match = ORDER_OPTIONS.sizes.find(option => option.value === size);
+        return match ? match.label : size;
     }
     
-    // ===== ORDER SUMMARY =====
-    updateOrderSummary() {
-        const total = this.tasks.length;
-        const pending = this.tasks.filter(task => task.status === 'pending').length;
-        const completed = this.tasks.filter(task => task.status === 'completed').length;
-        
-        // Update DOM elements
-        document.getElementById('total-orders').textContent = total;
-        document.getElementById('pending-orders').textContent = pending;
-        document.getElementById('completed-orders').textContent = completed;
+    getCrustLabel(crust) {
+        const match = ORDER_OPTIONS.crusts.find(option => option.value === crust);
+        return match ? match.label : crust;
     }
     
-    // ===== EVENT HANDLERS =====
-    setupEventListeners() {
-        this.setupFormHandler();
-        this.setupFilterHandlers();
-        this.setupSortHandlers();
-        this.setupActionHandlers();
-        this.setupClearAllHandler();
-        this.setupKeyboardShortcuts();
+    // ===== ORDER ITEM BUILDER =====
+    // A builder is bound to elements whose ids start with its prefix, so the
+    // order form ("item") and the edit modal ("edit-item") share this code
+    createItemBuilderMarkup(prefix) {
+        return `
+            <div class="row g-2">
+                <div class="col-12">
+                    <label for="${prefix}-pizza" class="visually-hidden">Pizza type</label>
+                    <select class="form-select" id="${prefix}-pizza" aria-label="Pizza type"></select>
+                    <div class="invalid-feedback">Please choose a pizza.</div>
+                </div>
+                <div class="col-5">
+                    <label for="${prefix}-size" class="form-label small mb-1">Size</label>
+                    <select class="form-select" id="${prefix}-size"></select>
+                </div>
+                <div class="col-4">
+                    <label for="${prefix}-crust" class="form-label small mb-1">Crust</label>
+                    <select class="form-select" id="${prefix}-crust"></select>
+                </div>
+                <div class="col-3">
+                    <label for="${prefix}-quantity" class="form-label small mb-1">Qty</label>
+                    <input type="number" class="form-control" id="${prefix}-quantity" min="1" max="20" value="1">
+                </div>
+                <div class="col-12">
+                    <span class="form-label small d-block mb-1">Add Toppings</span>
+                    <div id="${prefix}-toppings" class="order-builder-toppings" role="group" aria-label="Extra toppings"></div>
+                </div>
+                <div class="col-12">
+                    <label for="${prefix}-remove" class="form-label small mb-1">Remove Toppings</label>
+                    <input type="text" class="form-control" id="${prefix}-remove" placeholder="e.g., onions, olives">
+                </div>
+                <div class="col-12">
+                    <span class="form-label small d-block mb-1">Dietary Needs</span>
+                    <div id="${prefix}-dietary" class="order-builder-dietary" role="group" aria-label="Allergies and diets for this pizza"></div>
+                </div>
+                <div class="col-12">
+                    <label for="${prefix}-notes" class="form-label small mb-1">Pizza Notes</label>
+                    <input type="text" class="form-control" id="${prefix}-notes" placeholder="e.g., well done, cut in squares">
+                </div>
+                <div class="col-12">
+                    <button type="button" class="btn btn-outline-warning w-100" id="${prefix}-add" aria-label="Add pizza to order">
+                        <i class="fas fa-plus me-2" aria-hidden="true"></i>Add Pizza to Order
+                    </button>
+                </div>
+            </div>
+            <div class="row g-2 mt-1">
+                <div class="col-7">
+                    <label for="${prefix}-extra" class="visually-hidden">Side or drink</label>
+                    <select class="form-select" id="${prefix}-extra" aria-label="Side or drink"></select>
+                </div>
+                <div class="col-2">
+                    <label for="${prefix}-extra-quantity" class="visually-hidden">Side or drink quantity</label>
+                    <input type="number" class="form-control" id="${prefix}-extra-quantity" min="1" max="20" value="1">
+                </div>
+                <div class="col-3">
+                    <button type="button" class="btn btn-outline-secondary w-100" id="${prefix}-extra-add" aria-label="Add side or drink to order">
+                        <i class="fas fa-plus" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <ul class="list-group order-builder-list mt-3" id="${prefix}-list" aria-live="polite">
+                <!-- Draft order items will be rendered here -->
+            </ul>
+            <div class="invalid-feedback">Please add at least one pizza to the order.</div>
+            <div id="${prefix}-total" class="fw-medium small mt-2" aria-live="polite"></div>
+        `;
     }
     
-    setupFormHandler() {
-        const orderForm = document.getElementById('task-form');
-        if (!orderForm) return;
+    createItemBuilder(container, prefix) {
+        const builder = { prefix, items: [], extras: [] };
+        if (!container) return builder;
         
-        // Set default due date to 30 minutes from now
-        this.setDefaultDueDate();
+        container.innerHTML = this.createItemBuilderMarkup(prefix);
         
-        orderForm.addEventListener('submit', (event) => {
-            event.preventDefault();
-            
-            if (!this.validateOrderForm(orderForm)) return;
-            
-            const formData = this.getFormData(orderForm);
-            this.addTask(formData);
-            orderForm.reset();
-            this.setDefaultDueDate();
+        // Populate builder controls from the menu catalog
+        this.getBuilderField(builder, 'pizza').innerHTML = '<option value="">Choose a pizza...</option>' +
+            MENU_CATALOG.pizzas
+                .map(pizza => `<option value="${pizza.name}">${pizza.name} (from ${formatPrice(pizza.basePrice)})</option>`)
+                .join('');
+        this.getBuilderField(builder, 'size').innerHTML = ORDER_OPTIONS.sizes
+            .map(size => `<option value="${size.value}"${size.value === 'medium' ? ' selected' : ''}>${size.label}</option>`)
+            .join('');
+        this.getBuilderField(builder, 'crust').innerHTML = ORDER_OPTIONS.crusts
+            .map(crust => `<option value="${crust.value}">${crust.label}${crust.price ? ` (+${formatPrice(crust.price)})` : ''}</option>`)
+            .join('');
+        this.getBuilderField(builder, 'toppings').innerHTML = MENU_CATALOG.toppings.map((topping, index) => `
+            <div class="form-check form-check-inline">
+                <input class="form-check-input" type="checkbox" id="${prefix}-topping-${index}" value="${topping.name}">
+                <label class="form-check-label small" for="${prefix}-topping-${index}">${topping.name} +${formatPrice(topping.price)}</label>
+            </div>
+        `).join('');
+        
+        this.getBuilderField(builder, 'dietary').innerHTML = this.dietary.getTagIds().map(id => {
+            const tag = this.dietary.getTag(id);
+            return `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="${prefix}-dietary-${id}" value="${id}">
+                    <label class="form-check-label small" for="${prefix}-dietary-${id}">
+                        <i class="fas ${tag.icon} me-1" aria-hidden="true"></i>${tag.needLabel}
+                    </label>
+                </div>
+            `;
+        }).join('');
+        
+        const extraOptions = (kind, list) => list
+            .map(extra => `<option value="${kind}:${extra.name}">${extra.name} (${formatPrice(extra.price)})</option>`)
+            .join('');
+        this.getBuilderField(builder, 'extra').innerHTML = `
+            <option value="">Add a side or drink...</option>
+            <optgroup label="Sides">${extraOptions('side', MENU_CATALOG.sides)}</optgroup>
+            <optgroup label="Drinks">${extraOptions('drink', MENU_CATALOG.drinks)}</optgroup>
+        `;
+        
+        this.getBuilderField(builder, 'add').addEventListener('click', () => {
+            this.addBuilderItem(builder);
         });
         
-        // Add real-time validation
-        orderForm.querySelectorAll('input, textarea, select').forEach(field => {
-            field.addEventListener('blur', () => this.validateField(field));
+        this.getBuilderField(builder, 'extra-add').addEventListener('click', () => {
+            this.addBuilderExtra(builder);
         });
-    }
-    
-    setDefaultDueDate() {
+        
+        // Event delegation for removing items from the draft
+        this.getBuilderField(builder, 'list').addEventListener('click', (event) => {
+            const removeButton = event.target.closest('.btn-remove-item');
+            if (!removeButton) return;
+            
+            const draftList = removeButton.dataset.kind === 'extra' ? builder.extras : builder.items;
+            draftList.splice(parseInt(removeButton.dataset.index), 1);
+            this.renderDraftItems(builder);
+        });
+        
+        this.renderDraftItems(builder);
+        return builder;
+    }
+    
+    getBuilderField(builder, name) {
+        return document.getElementById(`${builder.prefix}-${name}`);
+    }
+    
+    setBuilderContents(builder, items = [], extras = []) {
+        builder.items = items.map(item => this.normalizeItem(item));
+        builder.extras = extras.map(extra => this.normalizeExtra(extra));
+        this.resetItemBuilder(builder);
+        this.renderDraftItems(builder);
+    }
+    
+    getBuilderItem(builder) {
+        const pizza = this.getBuilderField(builder, 'pizza').value;
+        if (!pizza) return null;
+        
+        const checkedToppings = this.getBuilderField(builder, 'toppings').querySelectorAll('input:checked');
+        
+        return this.normalizeItem({
+            pizza,
+            size: this.getBuilderField(builder, 'size').value,
+            crust: this.getBuilderField(builder, 'crust').value,
+            quantity: this.getBuilderField(builder, 'quantity').value,
+            toppings: {
+                add: Array.from(checkedToppings).map(input => input.value),
+                remove: this.getBuilderField(builder, 'remove').value.split(',')
+            },
+            notes: this.getBuilderField(builder, 'notes').value,
+            dietary: Array.from(this.getBuilderField(builder, 'dietary').querySelectorAll('input:checked')).map(input => input.value)
+        });
+    }
+    
+    addBuilderItem(builder) {
+        const pizzaSelect = this.getBuilderField(builder, 'pizza');
+        const item = this.getBuilderItem(builder);
+        
+        if (!item) {
+            pizzaSelect.classList.add('is-invalid');
+            pizzaSelect.focus();
+            return;
+        }
+        
+        pizzaSelect.classList.remove('is-invalid');
+        builder.items.push(item);
+        this.resetItemBuilder(builder);
+        this.renderDraftItems(builder);
+    }
+    
+    addBuilderExtra(builder) {
+        const extraSelect = this.getBuilderField(builder, 'extra');
+        if (!extraSelect.value) {
+            extraSelect.focus();
+            return;
+        }
+        
+        const [kind, name] = extraSelect.value.split(/:(.*)/s);
+        builder.extras.push(this.normalizeExtra({
+            kind,
+            name,
+            quantity: this.getBuilderField(builder, 'extra-quantity').value
+        }));
+        
+        extraSelect.value = '';
+        this.getBuilderField(builder, 'extra-quantity').value = 1;
+        this.renderDraftItems(builder);
+    }
+    
+    resetItemBuilder(builder) {
+        this.getBuilderField(builder, 'pizza').value = '';
+        this.getBuilderField(builder, 'size').value = 'medium';
+        this.getBuilderField(builder, 'crust').value = 'classic';
+        this.getBuilderField(builder, 'quantity').value = 1;
+        this.getBuilderField(builder, 'remove').value = '';
+        this.getBuilderField(builder, 'notes').value = '';
+        this.getBuilderField(builder, 'toppings').querySelectorAll('input').forEach(input => {
+            input.checked = false;
+        });
+        this.resetBuilderDietary(builder);
+    }
+    
+    // A picked customer's allergies are ticked for every new pizza
+    resetBuilderDietary(builder) {
+        const defaults = builder.defaultDietary || [];
+        this.getBuilderField(builder, 'dietary').querySelectorAll('input').forEach(input => {
+            input.checked = defaults.includes(input.value);
+        });
+    }
+    
+    renderDraftItems(builder) {
+        const itemsList = this.getBuilderField(builder, 'list');
+        if (!itemsList) return;
+        
+        const draftTotal = this.getBuilderField(builder, 'total');
+        
+        if (builder.items.length === 0 && builder.extras.length === 0) {
+            itemsList.innerHTML = '<li class="list-group-item text-muted small">No pizzas added yet</li>';
+            if (draftTotal) draftTotal.textContent = '';
+            return;
+        }
+        
+        if (builder.items.length > 0) itemsList.classList.remove('is-invalid');
+        
+        const itemRows = builder.items.map((item, index) => {
+            const { conflicts } = this.dietary.checkItem(item);
+            
+            return `
+                <li class="list-group-item d-flex justify-content-between align-items-start">
+                    <div class="small">
+                        <div class="fw-medium">
+                            ${this.escapeHTML(this.describeItem(item))}
+                            <span class="text-muted">${formatPrice(this.pricing.priceItem(item).lineTotal)}</span>
+                        </div>
+                        <div class="text-muted">${this.getCrustLabel(item.crust)} crust ${this.createDietaryBadges(this.dietary.describeItem(item))}</div>
+                        ${item.dietary.length ? `<div>${this.createNeedBadges(item.dietary, conflicts)}</div>` : ''}
+                        ${conflicts.map(conflict => `
+                            <div class="text-danger">
+                                <i class="fas fa-triangle-exclamation me-1" aria-hidden="true"></i>Not ${this.dietary.getTag(conflict.need).needLabel.toLowerCase()}: ${this.escapeHTML(conflict.sources.join(', '))}
+                            </div>
+                        `).join('')}
+                        ${item.toppings.add.length ? `<div class="order-item-modifiers">+ ${this.escapeHTML(item.toppings.add.join(', '))}</div>` : ''}
+                        ${item.toppings.remove.length ? `<div class="order-item-modifiers">− ${this.escapeHTML(item.toppings.remove.join(', '))}</div>` : ''}
+                        ${item.notes ? `<div class="order-item-notes">${this.escapeHTML(item.notes)}</div>` : ''}
+                    </div>
+                    <button type="button" class="btn btn-sm btn-outline-danger btn-remove-item" 
+                            data-kind="item" data-index="${index}" aria-label="Remove item">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </li>
+            `;
+        });
+        
+        const extraRows = builder.extras.map((extra, index) => `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <div class="small">
+                    ${this.escapeHTML(this.describeExtra(extra))}
+                    <span class="text-muted">${formatPrice(this.pricing.priceExtra(extra).lineTotal)}</span>
+                </div>
+                <button type="button" class="btn btn-sm btn-outline-danger btn-remove-item" 
+                        data-kind="extra" data-index="${index}" aria-label="Remove item">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </li>
+        `);
+        
+        itemsList.innerHTML = [...itemRows, ...extraRows].join('');
+        
+        if (draftTotal) {
+            const totals = this.pricing.priceOrder({ items: builder.items, extras: builder.extras });
+            draftTotal.textContent = `Order total: ${formatPrice(totals.total)} (incl. VAT ${formatPrice(totals.vat.total)})`;
+        }
+        
+        // Which slots still have room and how long the kitchen needs depend on the pizzas ordered
+        if (builder === this.orderBuilder) {
+            this.renderSlotOptions();
+            this.updateOrderEta();
+        }
+    }
+    
+    // ===== FILTERING AND SORTING =====
+    filterTasks(tasks) {
+        return this.query.filter(tasks);
+    }
+    
+    sortTasks(tasks) {
+        return this.query.sortOrders(tasks);
+    }
+    
+    // ===== CRUD OPERATIONS =====
+    // A complete new order, not yet added to the list
+    createOrder(taskData, actor = this.getActor()) {
+        const items = taskData.items.map(item => this.normalizeItem(item));
+        const extras = (taskData.extras || []).map(extra => this.normalizeExtra(extra));
+        const delivery = this.zones.resolve(taskData.address);
+        const newTask = {
+            id: this.getNextOrderId(),
+            name: this.describeItems(items),
+            items,
+            extras,
+            description: taskData.description?.trim() || '',
+            due: taskData.due,
+            priority: taskData.priority || 'medium',
+            status: 'received',
+            created: new Date().toISOString(),
+            address: taskData.address.trim(),
+            zone: delivery ? delivery.zone.id : null,
+            location: delivery ? delivery.suburb : '',
+            dispatch: null,
+            sla: null,
+            customerId: taskData.customerId || null,
+            schedule: taskData.schedule || null
+        };
+        newTask.totals = this.pricing.priceOrder(newTask);
+        newTask.statusHistory = this.statusMachine.seedHistory(newTask);
+        newTask.revision = 1;
+        newTask.updatedAt = newTask.created;
+        newTask.updatedBy = actor;
+        return newTask;
+    }
+    
+    // Ids are creation timestamps, bumped when several orders are created in the same millisecond
+    getNextOrderId() {
+        return this.tasks.reduce((nextId, task) => Math.max(nextId, task.id + 1), Date.now());
+    }
+    
+    addTask(taskData) {
+        const newTask = this.createOrder(taskData);
+        const before = [...this.tasks];
+        this.tasks.push(newTask);
+        this.recordHistory(`Add ${newTask.name}`, before);
+        this.saveTasks();
+        this.loadTasks();
+        this.updateOrderSummary();
+        
+        // Show success notification
+        this.showNotification(`Order added: ${this.escapeHTML(newTask.name)}`, 'success', this.getUndoAction());
+        
+        // Scroll to new task
+        setTimeout(() => {
+            const newRow = document.querySelector(`[data-id="${newTask.id}"]`);
+            if (newRow) {
+                newRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                newRow.classList.add('highlight-new');
+                setTimeout(() => newRow.classList.remove('highlight-new'), 2000);
+            }
+        }, 100);
+        
+        return newTask;
+    }
+    
+    editTask(taskId, updatedData) {
+        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
+        if (taskIndex !== -1) {
+            const { status, ...fields } = updatedData;
+            
+            // Keep the display name in sync with edited line items
+            if (fields.items) {
+                fields.items = fields.items.map(item => this.normalizeItem(item));
+                fields.name = this.describeItems(fields.items);
+            }
+            if (fields.extras) {
+                fields.extras = fields.extras.map(extra => this.normalizeExtra(extra));
+            }
+            // Only a new address is resolved again, so a zone reassigned by hand stays put
+            if (fields.address !== undefined && fields.address.trim() !== (this.tasks[taskIndex].address || '').trim()) {
+                const delivery = this.zones.resolve(fields.address);
+                fields.zone = delivery ? delivery.zone.id : null;
+                fields.location = delivery ? delivery.suburb : '';
+            }
+            
+            // A new delivery time starts the SLA rules over
+            const current = this.tasks[taskIndex];
+            if (fields.due !== undefined && new Date(fields.due).getTime() !== new Date(current.due).getTime()) {
+                fields.sla = null;
+            }
+            
+            let updatedTask = { ...current, ...fields };
+            
+            // Reprice when the contents or the delivery zone of the order change
+            if (fields.items || fields.extras || fields.zone !== undefined) {
+                updatedTask.totals = this.pricing.priceOrder(updatedTask);
+            }
+            
+            // Status changes go through the lifecycle so they are timestamped
+            if (status && status !== updatedTask.status) {
+                updatedTask = this.statusMachine.transition(updatedTask, status);
+            }
+            
+            const before = [...this.tasks];
+            updatedTask = this.stampRevision(updatedTask, this.tasks[taskIndex]);
+            this.tasks[taskIndex] = updatedTask;
+            this.recordHistory(`Edit ${updatedTask.name}`, before);
+            this.saveTasks();
+            this.loadTasks();
+            this.updateOrderSummary();
+            this.showNotification('Order updated successfully', 'info', this.getUndoAction());
+        }
+    }
+    
+    deleteTask(taskId) {
+        if (confirm('Are you sure you want to delete this pizza order?')) {
+            const before = [...this.tasks];
+            const task = this.tasks.find(t => t.id === taskId);
+            this.tasks = this.tasks.filter(task => task.id !== taskId);
+            this.recordHistory(`Delete ${task ? task.name : 'order'}`, before);
+            this.saveTasks();
+            this.loadTasks();
+            this.updateOrderSummary();
+            this.showNotification('Order deleted', 'warning', this.getUndoAction());
+        }
+    }
+    
+    // Every saved change gets the next revision, which stale edits are checked against,
+    // and the name of whoever made it
+    stampRevision(order, previous = order, actor = this.getActor()) {
+        return {
+            ...order,
+            revision: Math.max(order.revision || 0, previous.revision || 0) + 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: actor
+        };
+    }
+    
+    markAsCompleted(taskId) {
+        this.setOrderStatus(taskId, 'delivered');
+    }
+    
+    // Leaving quality check means picking a driver, which only the dispatch panel does
+    getAdvanceStatus(status) {
+        const next = this.statusMachine.getNextStatus(status);
+        return next === 'out-for-delivery' ? null : next;
+    }
+    
+    setOrderStatus(taskId, status) {
+        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
+        if (taskIndex === -1) return;
+        
+        const task = this.tasks[taskIndex];
+        if (task.status === status) return;
+        
+        if (!this.statusMachine.canTransition(task.status, status)) {
+            const fromLabel = this.statusMachine.getInfo(task.status).label;
+            const toLabel = this.statusMachine.getInfo(status).label;
+            this.showNotification(`An order that is "${fromLabel}" cannot be moved to "${toLabel}"`, 'warning');
+            return;
+        }
+        
+        if (status === 'out-for-delivery') {
+            this.showNotification('Send ready orders out from the dispatch panel so each run has a driver', 'warning');
+            return;
+        }
+        
+        const label = this.statusMachine.getInfo(status).label;
+        const before = [...this.tasks];
+        this.tasks[taskIndex] = this.stampRevision(this.statusMachine.transition(task, status), task);
+        this.recordHistory(`${label}: ${task.name}`, before);
+        this.saveTasks();
+        this.loadTasks();
+        this.updateOrderSummary();
+        
+        const type = status === 'delivered' ? 'success' : this.statusMachine.isActive(status) ? 'info' : 'warning';
+        this.showNotification(`${label}: ${this.escapeHTML(task.name)}`, type, this.getUndoAction());
+    }
+    
+    // ===== UNDO / REDO =====
+    recordHistory(label, beforeTasks) {
+        this.history.record(label, beforeTasks, this.tasks);
+        this.updateHistoryButtons();
+    }
+    
+    undo() {
+        const result = this.history.undo(this.tasks);
+        if (!result) {
+            this.showNotification('Nothing to undo', 'info');
+            return;
+        }
+        
+        this.applyHistoryResult(result);
+        this.showNotification(`Undone: ${this.escapeHTML(result.entry.label)}`, 'info', {
+            label: 'Redo',
+            handler: () => this.redo()
+        });
+    }
+    
+    redo() {
+        const result = this.history.redo(this.tasks);
+        if (!result) {
+            this.showNotification('Nothing to redo', 'info');
+            return;
+        }
+        
+        this.applyHistoryResult(result);
+        this.showNotification(`Redone: ${this.escapeHTML(result.entry.label)}`, 'info', this.getUndoAction());
+    }
+    
+    applyHistoryResult(result) {
+        // Restored orders move forward in revision so other tabs don't treat them as stale
+        const currentById = new Map(this.tasks.map(task => [task.id, task]));
+        this.tasks = result.orders.map(order => {
+            const current = currentById.get(order.id);
+            if (current === order) return order;
+            return this.stampRevision(order, current);
+        });
+        this.saveTasks();
+        this.loadTasks();
+        this.updateOrderSummary();
+        this.updateHistoryButtons();
+    }
+    
+    getUndoAction() {
+        return { label: 'Undo', handler: () => this.undo() };
+    }
+    
+    updateHistoryButtons() {
+        const undoButton = document.getElementById('undo-action');
+        const redoButton = document.getElementById('redo-action');
+        
+        if (undoButton) {
+            undoButton.disabled = !this.history.canUndo();
+            undoButton.title = this.history.canUndo()
+                ? `Undo: ${this.history.undoStack[this.history.undoStack.length - 1].label}`
+                : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !this.history.canRedo();
+            redoButton.title = this.history.canRedo()
+                ? `Redo: ${this.history.redoStack[this.history.redoStack.length - 1].label}`
+                : 'Nothing to redo';
+        }
+    }
+    
+    // ===== ORDER STORAGE =====
+    saveTasks({ actor = this.getActor() } = {}) {
+        // Every change since the last save is logged before it is stored
+        this.audit.record(this.auditBase, this.tasks, actor);
+        this.auditBase = [...this.tasks];
+        this.renderAuditDrawer();
+        
+        // Other tabs are told once the orders are stored; publishing the current list
+        // keeps remote orders merged while the save was pending from looking deleted
+        return this.repository.saveAll(this.tasks)
+            .then(() => this.sync.publish(this.tasks))
+            .catch(error => {
+                console.error('Error saving orders:', error);
+                this.showNotification('Error saving orders', 'danger');
+            });
+    }
+    
+    // ===== MULTI-TAB SYNC =====
+    setupSyncHandlers() {
+        this.sync.remember(this.tasks);
+        this.sync.onChange(message => this.applyRemoteChanges(message));
+    }
+    
+    applyRemoteChanges(message) {
+        this.tasks = this.sync.merge(this.tasks, message);
+        
+        // The other tab logged these changes itself
+        this.auditBase = [...this.tasks];
+        
+        // Store the merged list too, in case this tab's last save raced the other tab's
+        this.repository.saveAll(this.tasks).catch(error => {
+            console.error('Error saving synced orders:', error);
+        });
+        
+        this.loadTasks();
+        this.updateOrderSummary();
+    }
+    
+    // ===== ORDER SUMMARY =====
+    updateOrderSummary() {
+        const total = this.tasks.length;
+        const pending = this.tasks.filter(task => this.statusMachine.isActive(task.status)).length;
+        const completed = this.tasks.filter(task => task.status === 'delivered').length;
+        
+        // Update DOM elements
+        document.getElementById('total-orders').textContent = total;
+        document.getElementById('pending-orders').textContent = pending;
+        document.getElementById('completed-orders').textContent = completed;
+        
+        const revenue = this.tasks.reduce((sum, task) => sum + (task.totals?.total || 0), 0);
+        const revenueElement = document.getElementById('revenue-total');
+        if (revenueElement) {
+            revenueElement.textContent = formatPrice(roundCurrency(revenue));
+        }
+    }
+    
+    // ===== EVENT HANDLERS =====
+    setupEventListeners() {
+        this.setupFormHandler();
+        this.setupFilterHandlers();
+        this.setupSortHandlers();
+        this.setupPaginationHandlers();
+        this.setupBulkHandlers();
+        this.setupActionHandlers();
+        this.setupClearAllHandler();
+        this.setupHistoryHandlers();
+        this.setupRecoveryHandlers();
+        this.setupSyncHandlers();
+        this.setupTransferHandlers();
+        this.setupKitchenDisplay();
+        this.setupPrintHandlers();
+        this.setupDispatchHandlers();
+        this.setupSlaHandlers();
+        this.setupCustomerHandlers();
+        this.setupScheduleHandlers();
+        this.setupStaffHandlers();
+        this.setupKeyboardShortcuts();
+    }
+    
+    setupFormHandler() {
+        const orderForm = document.getElementById('task-form');
+        if (!orderForm) return;
+        
+        // Set default due date to 30 minutes from now
+        this.setDefaultDueDate();
+        this.orderBuilder = this.createItemBuilder(document.getElementById('item-builder'), 'item');
+        
+        orderForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            if (!this.requirePermission('create')) return;
+            
+            // A pizza picked in the builder but not yet added counts as the order
+            if (this.orderBuilder.items.length === 0 && this.getBuilderField(this.orderBuilder, 'pizza')?.value) {
+                this.addBuilderItem(this.orderBuilder);
+            }
+            
+            if (!this.validateOrderForm(orderForm, this.orderBuilder)) return;
+            if (!this.validateOrderSlot(orderForm)) return;
+            
+            // The requested time is kept, but the clerk is told the kitchen can't make it
+            const estimate = this.updateOrderEta();
+            if (estimate && !estimate.feasible) {
+                this.showNotification(
+                    `The kitchen expects to deliver at ${this.formatTime(estimate.promisedAt)}, ${Math.ceil(estimate.minutesLate)} min after the requested time`,
+                    'warning'
+                );
+            }
+            
+            const formData = this.getFormData(orderForm);
+            if (formData.repeat) {
+                // The first delivery is ordered now; the template takes over from the week after
+                const template = this.scheduler.addRecurring(this.createOrder(formData));
+                formData.schedule = { type: 'recurring', recurringId: template.id, occurrence: template.materialised[0] };
+            }
+            this.addTask(formData);
+            orderForm.reset();
+            this.setBuilderContents(this.orderBuilder);
+            this.setOrderTiming('asap');
+            this.updateZoneInfo(document.getElementById('task-address'));
+            this.selectOrderCustomer(null);
+            this.renderCustomerList();
+            this.renderRecurringList();
+        });
+        
+        // Add real-time validation
+        orderForm.querySelectorAll('input, textarea, select').forEach(field => {
+            field.addEventListener('blur', () => this.validateField(field));
+        });
+        
+        // A hand-picked delivery time is never moved by the zone ETA
+        document.getElementById('task-due')?.addEventListener('input', (event) => {
+            event.target.dataset.autoFilled = 'false';
+            this.updateOrderEta();
+        });
+        
+        document.getElementById('task-address')?.addEventListener('input', (event) => {
+            const delivery = this.updateZoneInfo(event.target);
+            if (delivery && document.getElementById('task-due').dataset.autoFilled === 'true') {
+                this.setDefaultDueDate(delivery.zone.etaOffset);
+            }
+            this.updateOrderEta();
+        });
+        
+        document.getElementById('task-eta')?.addEventListener('click', (event) => {
+            if (!event.target.closest('#task-eta-apply')) return;
+            const dueInput = document.getElementById('task-due');
+            dueInput.value = this.toDateTimeInputValue(event.target.closest('#task-eta-apply').dataset.time);
+            dueInput.dataset.autoFilled = 'false';
+            this.updateOrderEta();
+        });
+    }
+    
+    // ===== DELIVERY ZONES =====
+    // Shows the zone terms under an address field; returns the resolved delivery or null
+    updateZoneInfo(field) {
+        const info = document.getElementById(field.dataset.zoneInfo);
+        const delivery = field.value.trim() ? this.zones.resolve(field.value) : null;
+        
+        if (info) {
+            info.innerHTML = delivery ? `
+                <i class="fas fa-map-marker-alt text-warning me-1" aria-hidden="true"></i>
+                ${this.escapeHTML(delivery.suburb)} · ${delivery.zone.name} zone ·
+                delivery ${formatPrice(delivery.zone.fee)} · minimum ${formatPrice(delivery.zone.minOrder)}
+                ${delivery.zone.etaOffset ? ` · +${delivery.zone.etaOffset} min` : ''}
+            ` : 'Street, postcode and suburb, e.g. Mesogeion 402, 153 42 Aghia Paraskevi';
+        }
+        
+        return delivery;
+    }
+    
+    // The zone minimum applies to the food and drinks, before the delivery fee
+    validateMinimumOrder(form, builder) {
+        const addressField = form.querySelector('[data-address]');
+        if (!addressField || !builder || builder.items.length === 0) return true;
+        
+        const delivery = this.zones.resolve(addressField.value);
+        if (!delivery) return true;
+        
+        const { subtotal } = this.pricing.priceOrder({ items: builder.items, extras: builder.extras });
+        if (subtotal >= delivery.zone.minOrder) return true;
+        
+        addressField.classList.remove('is-valid');
+        addressField.classList.add('is-invalid');
+        addressField.parentElement.querySelector('.invalid-feedback').textContent =
+            `Minimum order for ${delivery.zone.name} is ${formatPrice(delivery.zone.minOrder)} (currently ${formatPrice(subtotal)})`;
+        return false;
+    }
+    
+    // 30 minutes from now, plus the zone's ETA offset once the address is known
+    setDefaultDueDate(etaOffset = 0) {
         const dueInput = document.getElementById('task-due');
         if (dueInput) {
             const defaultDue = new Date();
-            defaultDue.setMinutes(defaultDue.getMinutes() + 30);
-            dueInput.value = defaultDue.toISOString().slice(0, 16);
-            dueInput.min = new Date().toISOString().slice(0, 16);
+            defaultDue.setMinutes(defaultDue.getMinutes() + 30 + etaOffset);
+            dueInput.value = this.toDateTimeInputValue(defaultDue);
+            dueInput.min = this.toDateTimeInputValue(new Date());
+            dueInput.dataset.autoFilled = 'true';
         }
     }
     
-    validateOrderForm(form) {
-        let isValid = true;
-        const requiredFields = form.querySelectorAll('[required]');
+    validateOrderForm(form, builder) {
+        let isValid = true;
+        const requiredFields = form.querySelectorAll('[required]');
+        
+        requiredFields.forEach(field => {
+            if (!this.validateField(field)) {
+                isValid = false;
+            }
+        });
+        
+        if (builder && !this.validateDraftItems(builder)) {
+            isValid = false;
+        }
+        
+        if (isValid && !this.validateMinimumOrder(form, builder)) {
+            isValid = false;
+        }
+        
+        return isValid;
+    }
+    
+    validateDraftItems(builder) {
+        const itemsList = this.getBuilderField(builder, 'list');
+        if (!itemsList) return true;
+        
+        const hasItems = builder.items.length > 0;
+        itemsList.classList.toggle('is-invalid', !hasItems);
+        return hasItems;
+    }
+    
+    validateField(field) {
+        field.classList.remove('is-invalid', 'is-valid');
+        
+        if (field.hasAttribute('required') && !field.value.trim()) {
+            if (field.hasAttribute('data-address')) {
+                field.parentElement.querySelector('.invalid-feedback').textContent = 'Please enter a delivery address.';
+            }
+            field.classList.add('is-invalid');
+            return false;
+        }
+        
+        if (field.hasAttribute('data-address') && !this.zones.resolve(field.value)) {
+            field.parentElement.querySelector('.invalid-feedback').textContent =
+                "Sorry, we don't deliver there yet. Check the postcode or suburb.";
+            field.classList.add('is-invalid');
+            return false;
+        }
+        
+        // An unchanged due time is allowed to stay in the past when editing
+        if (field.type === 'datetime-local' && field.value !== field.dataset.originalValue) {
+            const selectedDate = new Date(field.value);
+            const now = new Date();
+            
+            if (selectedDate < now) {
+                field.classList.add('is-invalid');
+                field.nextElementSibling.textContent = 'Please select a future date and time';
+                return false;
+            }
+        }
+        
+        if (field.value.trim()) {
+            field.classList.add('is-valid');
+        }
+        
+        return true;
+    }
+    
+    getFormData(form) {
+        return {
+            items: this.orderBuilder.items.map(item => ({ ...item })),
+            extras: this.orderBuilder.extras.map(extra => ({ ...extra })),
+            description: document.getElementById('task-description').value,
+            due: document.getElementById('task-due').value,
+            priority: document.getElementById('task-priority').value,
+            address: document.getElementById('task-address').value,
+            customerId: document.getElementById('task-customer-id')?.value || null,
+            schedule: this.getOrderTiming() === 'later' ? { type: 'pre-order' } : null,
+            repeat: this.getOrderTiming() === 'later' && document.getElementById('task-repeat').checked
+        };
+    }
+    
+    setupFilterHandlers() {
+        this.renderFilterControls();
+        
+        const searchField = document.getElementById('order-search');
+        if (searchField) {
+            searchField.value = this.query.search;
+            let searchTimer = null;
+            searchField.addEventListener('input', () => {
+                // Wait for a pause in typing so long lists don't re-render on every key
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => {
+                    this.query.search = searchField.value;
+                    this.applyQuery();
+                }, 200);
+            });
+        }
+        
+        document.getElementById('filter-panel')?.addEventListener('change', (event) => {
+            const field = event.target;
+            const checkedValues = name => [...document.querySelectorAll(`input[name="${name}"]:checked`)]
+                .map(input => input.value);
+            
+            if (field.name === 'status-filter') {
+                this.query.statuses = checkedValues('status-filter');
+            } else if (field.name === 'priority-filter') {
+                this.query.priorities = checkedValues('priority-filter');
+            } else if (field.name === 'zone-filter') {
+                this.query.zones = checkedValues('zone-filter');
+            } else if (field.id === 'filter-from') {
+                this.query.from = field.value;
+            } else if (field.id === 'filter-to') {
+                this.query.to = field.value;
+            } else if (field.id === 'filter-overdue') {
+                this.query.overdueOnly = field.checked;
+            } else {
+                return;
+            }
+            this.applyQuery();
+        });
+        
+        document.getElementById('filter-panel')?.addEventListener('click', (event) => {
+            const shortcut = event.target.closest('[data-status-shortcut]');
+            if (shortcut) {
+                this.query.statuses = shortcut.dataset.statusShortcut === 'active'
+                    ? this.statusMachine.getStatuses().filter(status => this.statusMachine.isActive(status))
+                    : [];
+                this.renderFilterControls();
+                this.applyQuery();
+            }
+        });
+        
+        document.getElementById('filter-reset')?.addEventListener('click', () => {
+            this.query.reset();
+            if (searchField) searchField.value = '';
+            this.renderFilterControls();
+            this.applyQuery();
+        });
+    }
+    
+    // Filter and sort changes re-render the table and go into the URL for bookmarking;
+    // anything other than paging starts again from the first page
+    applyQuery({ keepPage = false } = {}) {
+        if (!keepPage) this.query.page = 1;
+        
+        const params = this.query.toParams(new URLSearchParams(location.search));
+        const search = params.toString();
+        history.replaceState(null, '', `${location.pathname}${search ? `?${search}` : ''}${location.hash}`);
+        
+        this.renderSortHeaders();
+        this.loadTasks();
+        document.getElementById('filter-reset')?.classList.toggle('d-none', !this.query.isFiltered());
+        document.querySelector('[data-status-shortcut="all"]')?.classList.toggle('active', this.query.statuses.length === 0);
+    }
+    
+    renderFilterControls() {
+        const checkboxes = (name, options, selected) => options.map(option => `
+            <input type="checkbox" class="btn-check" name="${name}" id="${name}-${option.value}" value="${option.value}"
+                   autocomplete="off" ${selected.includes(option.value) ? 'checked' : ''}>
+            <label class="btn btn-sm btn-outline-${option.style || 'secondary'}" for="${name}-${option.value}">${option.label}</label>
+        `).join('');
+        
+        const statusGroup = document.getElementById('status-filters');
+        if (statusGroup) {
+            // All / In Progress shortcuts, then one toggle per lifecycle status
+            statusGroup.innerHTML = `
+                <button type="button" class="btn btn-sm btn-outline-primary ${this.query.statuses.length === 0 ? 'active' : ''}"
+                        data-status-shortcut="all">All</button>
+                <button type="button" class="btn btn-sm btn-outline-warning" data-status-shortcut="active">In Progress</button>
+                ${checkboxes('status-filter', this.statusMachine.getStatuses().map(status => ({
+                    value: status,
+                    label: this.statusMachine.getInfo(status).label
+                })), this.query.statuses)}
+            `;
+        }
+        
+        const priorityGroup = document.getElementById('priority-filters');
+        if (priorityGroup) {
+            priorityGroup.innerHTML = checkboxes('priority-filter', ['high', 'medium', 'low'].map(priority => ({
+                value: priority,
+                label: this.getPriorityInfo(priority).text,
+                style: { high: 'danger', medium: 'warning', low: 'success' }[priority]
+            })), this.query.priorities);
+        }
+        
+        const zoneGroup = document.getElementById('zone-filters');
+        if (zoneGroup) {
+            zoneGroup.innerHTML = checkboxes('zone-filter', [
+                ...this.zones.zones.map(zone => ({ value: zone.id, label: zone.name })),
+                { value: 'none', label: 'Outside zones' }
+            ], this.query.zones);
+        }
+        
+        const fromField = document.getElementById('filter-from');
+        const toField = document.getElementById('filter-to');
+        const overdueField = document.getElementById('filter-overdue');
+        if (fromField) fromField.value = this.query.from;
+        if (toField) toField.value = this.query.to;
+        if (overdueField) overdueField.checked = this.query.overdueOnly;
+        
+        document.getElementById('filter-reset')?.classList.toggle('d-none', !this.query.isFiltered());
+    }
+    
+    setupSortHandlers() {
+        document.querySelector('#tasks-table thead')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-sort]');
+            if (!button) return;
+            
+            // Shift+click adds a second (third...) sort key
+            this.query.toggleSort(button.dataset.sort, event.shiftKey);
+            this.applyQuery();
+        });
+        
+        this.renderSortHeaders();
+    }
+    
+    renderSortHeaders() {
+        document.querySelectorAll('#tasks-table [data-sort]').forEach(button => {
+            const index = this.query.sort.findIndex(entry => entry.key === button.dataset.sort);
+            const entry = this.query.sort[index];
+            const header = button.closest('th');
+            const icon = button.querySelector('.sort-indicator');
+            
+            if (!entry) {
+                header.removeAttribute('aria-sort');
+                icon.innerHTML = '<i class="fas fa-sort text-muted" aria-hidden="true"></i>';
+                return;
+            }
+            
+            header.setAttribute('aria-sort', entry.direction === 'asc' ? 'ascending' : 'descending');
+            icon.innerHTML = `
+                <i class="fas fa-sort-${entry.direction === 'asc' ? 'up' : 'down'}" aria-hidden="true"></i>
+                ${this.query.sort.length > 1 ? `<sup>${index + 1}</sup>` : ''}
+            `;
+        });
+    }
+    
+    setupActionHandlers() {
+        // Event delegation for action buttons
+        document.getElementById('tasks-list')?.addEventListener('click', (event) => {
+            const row = event.target.closest('tr');
+            if (!row || !row.dataset.id) return;
+            
+            const taskId = parseInt(row.dataset.id);
+            
+            const statusButton = event.target.closest('.btn-advance, .btn-status');
+            
+            // Looking things up and printing are open to everyone; changes depend on the role
+            if (event.target.closest('.btn-edit')) {
+                if (this.requirePermission('edit')) this.handleEdit(taskId);
+            } else if (statusButton) {
+                if (this.requirePermission('status', statusButton.dataset.status)) {
+                    this.setOrderStatus(taskId, statusButton.dataset.status);
+                }
+            } else if (event.target.closest('.btn-delete')) {
+                if (this.requirePermission('delete')) this.deleteTask(taskId);
+            } else if (event.target.closest('.btn-review')) {
+                if (this.requirePermission('review')) this.markReviewed(taskId);
+            } else if (event.target.closest('.btn-customer')) {
+                this.openCustomer(event.target.closest('.btn-customer').dataset.customer);
+            } else if (event.target.closest('.btn-print')) {
+                this.printOrder(taskId, event.target.closest('.btn-print').dataset.print);
+            } else if (event.target.closest('.btn-audit')) {
+                this.openAuditDrawer(taskId);
+            }
+        });
+    }
+    
+    setupClearAllHandler() {
+        const clearButton = document.getElementById('clear-all');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                if (!this.requirePermission('clear')) return;
+                if (this.tasks.length === 0) {
+                    this.showNotification('No orders to clear', 'info');
+                    return;
+                }
+                
+                if (confirm('Are you sure you want to delete ALL pizza orders?')) {
+                    const before = [...this.tasks];
+                    this.tasks = [];
+                    this.recordHistory(`Clear ${before.length} orders`, before);
+                    this.saveTasks();
+                    this.loadTasks();
+                    this.updateOrderSummary();
+                    this.showNotification('All orders cleared', 'warning', this.getUndoAction());
+                }
+            });
+        }
+    }
+    
+    setupHistoryHandlers() {
+        document.getElementById('undo-action')?.addEventListener('click', () => this.undo());
+        document.getElementById('redo-action')?.addEventListener('click', () => this.redo());
+        this.updateHistoryButtons();
+    }
+    
+    setupKitchenDisplay() {
+        this.kitchenDisplay = new KitchenDisplay(this);
+        
+        document.getElementById('open-kitchen-display')?.addEventListener('click', () => {
+            this.kitchenDisplay.open();
+        });
+        
+        // tasks.html#kitchen or ?view=kitchen opens straight into the kitchen view
+        const params = new URLSearchParams(location.search);
+        if (location.hash === '#kitchen' || params.get('view') === 'kitchen') {
+            this.kitchenDisplay.open();
+        }
+    }
+    
+    // ===== PRINTING =====
+    setupPrintHandlers() {
+        this.printer = new OrderPrinter(this);
+        
+        const paperOptions = document.querySelectorAll('[data-print-paper]');
+        const markPaper = () => {
+            const paper = this.printer.getPaper();
+            paperOptions.forEach(option => {
+                const isCurrent = option.dataset.printPaper === paper;
+                option.classList.toggle('active', isCurrent);
+                option.setAttribute('aria-pressed', isCurrent);
+            });
+        };
+        
+        paperOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                this.printer.setPaper(option.dataset.printPaper);
+                markPaper();
+                this.showNotification(`Printing on ${this.printer.config.papers[option.dataset.printPaper].label}`, 'info');
+            });
+        });
+        markPaper();
+    }
+    
+    printOrder(taskId, kind) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        this.printer.print(task, kind);
+    }
+    
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (event) => {
+            // The kitchen display has its own bump-bar keys
+            if (this.kitchenDisplay?.isOpen) return;
+            
+            // Ctrl/Cmd + N: New order
+            if ((event.ctrlKey || event.metaKey) && event.key === 'n') {
+                event.preventDefault();
+                document.getElementById('item-pizza')?.focus();
+            }
+            
+            // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl + Y: Redo
+            // Text fields keep their native undo
+            const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+            if ((event.ctrlKey || event.metaKey) && !isTyping) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' && event.shiftKey || key === 'y') {
+                    event.preventDefault();
+                    this.redo();
+                } else if (key === 'z') {
+                    event.preventDefault();
+                    this.undo();
+                }
+            }
+            
+            // Escape: Close modals or clear focus
+            if (event.key === 'Escape') {
+                const activeElement = document.activeElement;
+                if (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA') {
+                    activeElement.blur();
+                }
+            }
+        });
+    }
+    
+    // ===== BULK ACTIONS =====
+    setupBulkHandlers() {
+        const bar = document.getElementById('bulk-actions');
+        if (!bar) return;
+        
+        document.getElementById('bulk-zone-options').innerHTML = this.zones.zones.map(zone => `
+            <li><button type="button" class="dropdown-item" data-bulk="zone" data-value="${zone.id}">${zone.name}</button></li>
+        `).join('');
+        
+        document.getElementById('tasks-list').addEventListener('change', (event) => {
+            if (!event.target.matches('.row-select')) return;
+            
+            const taskId = parseInt(event.target.closest('tr').dataset.id);
+            if (event.target.checked) {
+                this.selectedIds.add(taskId);
+            } else {
+                this.selectedIds.delete(taskId);
+            }
+            this.updateSelectionUI();
+        });
+        
+        // Select all in view = every order on the current page
+        document.getElementById('select-all')?.addEventListener('change', (event) => {
+            this.renderedRows.forEach((rendered, taskId) => {
+                if (event.target.checked) {
+                    this.selectedIds.add(taskId);
+                } else {
+                    this.selectedIds.delete(taskId);
+                }
+            });
+            this.updateSelectionUI();
+        });
+        
+        bar.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-bulk]');
+            if (button) this.runBulkAction(button.dataset.bulk, button.dataset.value);
+        });
+    }
+    
+    updateSelectionUI() {
+        // Orders deleted elsewhere (another tab, undo) drop out of the selection
+        const existingIds = new Set(this.tasks.map(task => task.id));
+        this.selectedIds.forEach(taskId => {
+            if (!existingIds.has(taskId)) this.selectedIds.delete(taskId);
+        });
+        
+        this.renderedRows.forEach(({ row }, taskId) => {
+            const checkbox = row.querySelector('.row-select');
+            if (checkbox) checkbox.checked = this.selectedIds.has(taskId);
+        });
+        
+        const pageIds = [...this.renderedRows.keys()];
+        const selectedOnPage = pageIds.filter(taskId => this.selectedIds.has(taskId)).length;
+        const selectAll = document.getElementById('select-all');
+        if (selectAll) {
+            selectAll.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+            selectAll.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
+        }
+        
+        const bar = document.getElementById('bulk-actions');
+        if (!bar) return;
+        
+        bar.classList.toggle('d-none', this.selectedIds.size === 0);
+        document.getElementById('bulk-count').textContent = `${this.selectedIds.size} selected`;
+        
+        const matching = this.filterTasks(this.tasks);
+        const selectMatching = document.getElementById('bulk-select-matching');
+        const hasUnselected = matching.some(task => !this.selectedIds.has(task.id));
+        selectMatching.classList.toggle('d-none', !hasUnselected);
+        selectMatching.dataset.count = matching.length;
+        selectMatching.textContent = `Select all ${matching.length} matching`;
+    }
+    
+    // What a bulk action would do to the selection; orders it can't apply to are skipped
+    getBulkPlan(action, value, selected) {
+        switch (action) {
+            case 'deliver':
+                return {
+                    label: 'Mark delivered',
+                    permission: 'status',
+                    status: 'delivered',
+                    applicable: selected.filter(task => this.statusMachine.canTransition(task.status, 'delivered')),
+                    update: task => this.statusMachine.transition(task, 'delivered')
+                };
+            case 'priority':
+                return {
+                    label: `Set priority to ${this.getPriorityInfo(value).text}`,
+                    permission: 'edit',
+                    applicable: selected.filter(task => task.priority !== value),
+                    update: task => ({ ...task, priority: value })
+                };
+            case 'zone': {
+                // For addresses the resolver gets wrong; the street address is kept for the driver,
+                // the suburb shown with the order follows the zone and the zone's minimum applies
+                const zone = this.zones.getZone(value);
+                return {
+                    label: `Move to zone ${zone.name}`,
+                    permission: 'edit',
+                    applicable: selected.filter(task => task.zone !== value && task.totals.subtotal >= zone.minOrder),
+                    skipReason: `already in ${zone.name} or below its ${formatPrice(zone.minOrder)} minimum`,
+                    // The delivery fee follows the zone
+                    update: task => {
+                        const moved = {
+                            ...task,
+                            zone: value,
+                            location: this.zones.findSuburb(task.address || '', zone) || zone.name
+                        };
+                        return { ...moved, totals: this.pricing.priceOrder(moved) };
+                    }
+                };
+            }
+            case 'delete':
+                return { label: 'Delete', permission: 'delete', applicable: selected, update: null };
+            default:
+                return null;
+        }
+    }
+    
+    runBulkAction(action, value) {
+        if (action === 'clear') {
+            this.selectedIds.clear();
+            this.updateSelectionUI();
+            return;
+        }
+        if (action === 'select-matching') {
+            this.filterTasks(this.tasks).forEach(task => this.selectedIds.add(task.id));
+            this.updateSelectionUI();
+            return;
+        }
+        
+        const selected = this.sortTasks(this.tasks.filter(task => this.selectedIds.has(task.id)));
+        if (selected.length === 0) return;
+        
+        if (action === 'export') {
+            this.exportOrders(value, selected);
+            return;
+        }
+        
+        const plan = this.getBulkPlan(action, value, selected);
+        if (!plan || !this.requirePermission(plan.permission, plan.status)) return;
+        
+        const skipped = selected.length - plan.applicable.length;
+        if (plan.applicable.length === 0) {
+            this.showNotification(`${plan.label}: none of the ${selected.length} selected orders can be changed`, 'warning');
+            return;
+        }
+        
+        // One confirmation with the whole summary
+        const names = plan.applicable.slice(0, 5).map(task => `• ${task.name}`);
+        if (plan.applicable.length > 5) names.push(`…and ${plan.applicable.length - 5} more`);
+        const summary = [
+            `${plan.label}: ${plan.applicable.length} order${plan.applicable.length === 1 ? '' : 's'}?`,
+            '',
+            ...names,
+            ...(skipped > 0 ? ['', `${skipped} selected order${skipped === 1 ? ' is' : 's are'} ${plan.skipReason || "already done or can't change"} and will be skipped.`] : [])
+        ].join('\n');
+        if (!confirm(summary)) return;
+        
+        const before = [...this.tasks];
+        const ids = new Set(plan.applicable.map(task => task.id));
+        
+        if (plan.update) {
+            this.tasks = this.tasks.map(task => ids.has(task.id) ? this.stampRevision(plan.update(task), task) : task);
+        } else {
+            this.tasks = this.tasks.filter(task => !ids.has(task.id));
+            ids.forEach(taskId => this.selectedIds.delete(taskId));
+        }
+        
+        // The whole bulk change is a single undo step
+        this.recordHistory(`${plan.label} (${ids.size} order${ids.size === 1 ? '' : 's'})`, before);
+        this.saveTasks();
+        this.loadTasks();
+        this.updateOrderSummary();
+        this.showNotification(`${plan.label}: ${ids.size} order${ids.size === 1 ? '' : 's'}${skipped > 0 ? `, ${skipped} skipped` : ''}`,
+            action === 'delete' ? 'warning' : 'success', this.getUndoAction());
+    }
+    
+    // ===== DRIVER DISPATCH =====
+    setupDispatchHandlers() {
+        const panel = document.getElementById('dispatch-panel');
+        if (!panel) return;
+        
+        document.getElementById('driver-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.requirePermission('dispatch')) return;
+            const nameField = document.getElementById('driver-name');
+            const phoneField = document.getElementById('driver-phone');
+            
+            try {
+                const driver = this.dispatch.addDriver(nameField.value, phoneField.value);
+                nameField.value = '';
+                phoneField.value = '';
+                this.renderDispatchPanel();
+                this.showNotification(`Driver registered: ${this.escapeHTML(driver.name)}`, 'success');
+            } catch (error) {
+                this.showNotification(this.escapeHTML(error.message), 'warning');
+            }
+        });
+        
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-dispatch-action]');
+            if (!button) return;
+            
+            // Drivers close out their own runs; everything else is for whoever dispatches
+            if (button.dataset.dispatchAction === 'returned') {
+                if (this.canCloseRun(button.dataset.run)) this.markDriverReturned(button.dataset.run);
+                return;
+            }
+            if (!this.requirePermission('dispatch')) return;
+            
+            if (button.dataset.dispatchAction === 'send') {
+                const driverId = button.closest('.dispatch-batch').querySelector('select').value;
+                const orderIds = button.dataset.orders.split(',').map(id => parseInt(id));
+                this.dispatchBatch(orderIds, driverId);
+            } else if (button.dataset.dispatchAction === 'remove') {
+                const driver = this.dispatch.getDriver(button.dataset.driver);
+                if (driver && confirm(`Remove ${driver.name} from the driver list? Past runs keep their name.`)) {
+                    this.dispatch.removeDriver(driver.id);
+                    this.renderDispatchPanel();
+                }
+            }
+        });
+    }
+    
+    renderDispatchPanel() {
+        const batchesContainer = document.getElementById('dispatch-batches');
+        const driversContainer = document.getElementById('dispatch-drivers');
+        if (!batchesContainer || !driversContainer) return;
+        
+        const batches = this.dispatch.planBatches(this.tasks);
+        const availableDrivers = this.dispatch.getAvailableDrivers(this.tasks);
+        const activeRuns = this.dispatch.getActiveRuns(this.tasks);
+        const readyCount = batches.reduce((count, batch) => count + batch.orders.length, 0);
+        
+        document.getElementById('dispatch-ready-count').textContent = `${readyCount} ready`;
+        
+        const driverOptions = availableDrivers
+            .map(driver => `<option value="${driver.id}">${this.escapeHTML(driver.name)}</option>`)
+            .join('');
+        
+        batchesContainer.innerHTML = batches.length === 0
+            ? '<p class="small text-muted mb-0">No orders have passed quality check yet.</p>'
+            : batches.map(batch => {
+                const zoneNames = batch.zones.map(id => this.zones.getZone(id)?.name || id).join(' + ') || 'No zone';
+                return `
+                    <div class="dispatch-batch border rounded p-2 mb-2">
+                        <div class="d-flex justify-content-between">
+                            <strong>${this.escapeHTML(zoneNames)}</strong>
+                            <small class="text-muted">due ${this.formatDueDate(batch.due)}</small>
+                        </div>
+                        <ul class="small mb-2 ps-3">
+                            ${batch.orders.map(order => `<li>#${String(order.id).slice(-4)} ${this.escapeHTML(order.name)} · ${this.escapeHTML(order.location)}</li>`).join('')}
+                        </ul>
+                        <div class="input-group input-group-sm">
+                            <select class="form-select" aria-label="Driver for this run" ${driverOptions ? '' : 'disabled'}>
+                                ${driverOptions || '<option value="">No driver available</option>'}
+                            </select>
+                            <button type="button" class="btn btn-outline-success" data-dispatch-action="send"
+                                    data-orders="${batch.orders.map(order => order.id).join(',')}" ${driverOptions ? '' : 'disabled'}>
+                                <i class="fas fa-paper-plane me-1" aria-hidden="true"></i>Dispatch
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        
+        const drivers = this.dispatch.getDrivers();
+        driversContainer.innerHTML = drivers.length === 0
+            ? '<li class="list-group-item small text-muted">Register a driver to start dispatching.</li>'
+            : drivers.map(driver => {
+                const run = activeRuns.find(candidate => candidate.driverId === driver.id);
+                const status = run
+                    ? `<span class="badge bg-secondary">On a run · ${run.orders.length} order(s) since ${new Date(run.departedAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}</span>`
+                    : '<span class="badge bg-success">Available</span>';
+                
+                return `
+                    <li class="list-group-item d-flex justify-content-between align-items-center gap-2">
+                        <div>
+                            <div class="fw-medium">${this.escapeHTML(driver.name)}</div>
+                            ${status}
+                        </div>
+                        ${run ? `
+                            <button type="button" class="btn btn-sm btn-outline-primary" data-dispatch-action="returned" data-run="${run.runId}">
+                                <i class="fas fa-store me-1" aria-hidden="true"></i>Back
+                            </button>
+                        ` : `
+                            <button type="button" class="btn btn-sm btn-outline-danger" data-dispatch-action="remove" data-driver="${driver.id}"
+                                    aria-label="Remove driver ${this.escapeHTML(driver.name)}">
+                                <i class="fas fa-user-minus" aria-hidden="true"></i>
+                            </button>
+                        `}
+                    </li>
+                `;
+            }).join('');
+    }
+    
+    dispatchBatch(orderIds, driverId) {
+        const driver = this.dispatch.getDriver(driverId);
+        if (!driver) {
+            this.showNotification('Choose an available driver first', 'warning');
+            return;
+        }
+        
+        const at = new Date().toISOString();
+        const runId = `run-${Date.now()}`;
+        const before = [...this.tasks];
+        let count = 0;
+        
+        this.tasks = this.tasks.map(task => {
+            if (!orderIds.includes(task.id) || !this.dispatch.isReady(task)) return task;
+            count++;
+            return this.stampRevision(this.dispatch.assign(task, driver, runId, at), task);
+        });
+        if (count === 0) return;
+        
+        this.recordHistory(`Dispatch ${count} order(s) with ${driver.name}`, before);
+        this.saveTasks();
+        this.loadTasks();
+        this.updateOrderSummary();
+        this.showNotification(`${this.escapeHTML(driver.name)} is out with ${count} order(s)`, 'info', this.getUndoAction());
+    }
+    
+    markDriverReturned(runId) {
+        const at = new Date().toISOString();
+        const before = [...this.tasks];
+        const run = this.dispatch.getActiveRuns(this.tasks).find(candidate => candidate.runId === runId);
+        if (!run) return;
+        
+        this.tasks = this.tasks.map(task => task.dispatch?.runId === runId
+            ? this.stampRevision(this.dispatch.markReturned(task, at), task)
+            : task);
+        
+        this.recordHistory(`${run.driverName} back from run`, before);
+        this.saveTasks();
+        this.loadTasks();
+        this.updateOrderSummary();
+        this.showNotification(`${this.escapeHTML(run.driverName)} is back at the shop`, 'success', this.getUndoAction());
+    }
+    
+    // ===== CUSTOMERS =====
+    setupCustomerHandlers() {
+        this.setupCustomerLookup();
+        
+        const directorySearch = document.getElementById('customer-directory-search');
+        directorySearch?.addEventListener('input', () => this.renderCustomerList());
+        
+        document.getElementById('customer-list')?.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-customer]');
+            if (item) this.openCustomer(item.dataset.customer);
+        });
+        
+        document.getElementById('customer-add')?.addEventListener('click', () => {
+            this.openCustomer(null, { name: directorySearch?.value || '' });
+        });
+        
+        // Customers added or changed in another tab
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.customers.config.storageKey) this.renderCustomerList();
+        });
+        
+        this.renderCustomerList();
+    }
+    
+    // Typeahead on the order form: arrow keys move, Enter picks, Escape closes
+    setupCustomerLookup() {
+        const field = document.getElementById('task-customer');
+        const options = document.getElementById('task-customer-options');
+        if (!field || !options) return;
+        
+        let matches = [];
+        let activeIndex = -1;
+        
+        const close = () => {
+            options.classList.remove('show');
+            field.setAttribute('aria-expanded', 'false');
+            field.removeAttribute('aria-activedescendant');
+            activeIndex = -1;
+        };
+        
+        const highlight = (index) => {
+            activeIndex = index;
+            options.querySelectorAll('[role="option"]').forEach((option, i) => {
+                option.classList.toggle('active', i === index);
+                option.setAttribute('aria-selected', i === index);
+            });
+            if (index >= 0) {
+                field.setAttribute('aria-activedescendant', `task-customer-option-${index}`);
+            }
+        };
+        
+        const show = () => {
+            matches = this.customers.search(field.value);
+            if (matches.length === 0) {
+                close();
+                return;
+            }
+        
+            options.innerHTML = matches.map((customer, index) => `
+                <li><button type="button" class="dropdown-item" role="option" id="task-customer-option-${index}"
+                            data-index="${index}" aria-selected="false">
+                    <div class="fw-medium">${this.escapeHTML(customer.name)}</div>
+                    <small class="text-muted">${this.escapeHTML([customer.phone, customer.email].filter(Boolean).join(' · '))}</small>
+                </button></li>
+            `).join('');
+            options.classList.add('show');
+            field.setAttribute('aria-expanded', 'true');
+            highlight(-1);
+        };
+        
+        field.addEventListener('input', () => {
+            // Typing again unlinks the customer picked before
+            if (document.getElementById('task-customer-id').value) this.selectOrderCustomer(null, false);
+            show();
+        });
+        
+        field.addEventListener('keydown', (event) => {
+            if (!options.classList.contains('show')) return;
+        
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                highlight((activeIndex + step + matches.length) % matches.length);
+            } else if (event.key === 'Enter' && activeIndex >= 0) {
+                event.preventDefault();
+                this.selectOrderCustomer(matches[activeIndex]);
+                close();
+            } else if (event.key === 'Escape') {
+                close();
+            }
+        });
+        
+        // mousedown fires before the field loses focus, so the pick isn't lost to blur
+        options.addEventListener('mousedown', (event) => {
+            const option = event.target.closest('[data-index]');
+            if (!option) return;
+            event.preventDefault();
+            this.selectOrderCustomer(matches[parseInt(option.dataset.index)]);
+            close();
+        });
+        
+        field.addEventListener('blur', close);
+        
+        document.getElementById('task-customer-new')?.addEventListener('click', () => {
+            this.openCustomer(null, {
+                name: field.value,
+                address: document.getElementById('task-address').value
+            });
+        });
+    }
+    
+    // Links the order being placed to a customer and fills in their default address
+    selectOrderCustomer(customer, fillName = true) {
+        const idField = document.getElementById('task-customer-id');
+        const nameField = document.getElementById('task-customer');
+        const info = document.getElementById('task-customer-info');
+        if (!idField) return;
+        
+        idField.value = customer ? customer.id : '';
+        if (fillName) nameField.value = customer ? customer.name : '';
+        
+        if (this.orderBuilder) {
+            this.orderBuilder.defaultDietary = customer ? customer.allergies : [];
+            this.resetBuilderDietary(this.orderBuilder);
+        }
+        
+        if (customer?.address) {
+            const addressField = document.getElementById('task-address');
+            addressField.value = customer.address;
+            // Same path as typing the address: zone info and zone-adjusted due time
+            addressField.dispatchEvent(new Event('input', { bubbles: true }));
+            this.validateField(addressField);
+        }
+        
+        if (!customer) {
+            info.textContent = 'Optional - picking a customer fills in their delivery address';
+            return;
+        }
+        
+        const stats = this.customers.getStats(customer.id, this.tasks);
+        const allergies = this.customers.getAllergyLabels(customer);
+        info.innerHTML = `
+            <i class="fas fa-user-check text-success me-1" aria-hidden="true"></i>
+            ${stats.orderCount} previous order${stats.orderCount === 1 ? '' : 's'}
+            ${stats.favouritePizza ? ` · usually ${this.escapeHTML(stats.favouritePizza)}` : ''}
+            ${allergies.length ? `<div class="text-danger fw-bold"><i class="fas fa-exclamation-triangle me-1" aria-hidden="true"></i>Allergies: ${allergies.join(', ')}</div>` : ''}
+            ${customer.notes ? `<div>${this.escapeHTML(customer.notes)}</div>` : ''}
+        `;
+    }
+    
+    renderCustomerList() {
+        const list = document.getElementById('customer-list');
+        if (!list) return;
+        
+        const term = document.getElementById('customer-directory-search')?.value || '';
+        const customers = term.trim()
+            ? this.customers.search(term, 20)
+            : this.customers.getCustomers().sort((a, b) => a.name.localeCompare(b.name)).slice(0, 20);
+        const total = this.customers.getCustomers().length;
+        
+        document.getElementById('customer-count').textContent = `${total} customer${total === 1 ? '' : 's'}`;
+        
+        if (customers.length === 0) {
+            list.innerHTML = `<li class="list-group-item small text-muted">${total === 0 ? 'No customers yet. Add one, or from the order form.' : 'No customer matches.'}</li>`;
+            return;
+        }
+        
+        list.innerHTML = customers.map(customer => {
+            const stats = this.customers.getStats(customer.id, this.tasks);
+            return `
+                <li class="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+                    role="button" tabindex="0" data-customer="${customer.id}">
+                    <div>
+                        <div class="fw-medium">
+                            ${this.escapeHTML(customer.name)}
+                            ${customer.allergies.length ? '<i class="fas fa-exclamation-triangle text-danger ms-1" title="Has allergies" aria-label="Has allergies"></i>' : ''}
+                        </div>
+                        <small class="text-muted">${this.escapeHTML(customer.phone || customer.email)}</small>
+                    </div>
+                    <div class="text-end small">
+                        <div>${stats.orderCount} order${stats.orderCount === 1 ? '' : 's'}</div>
+                        <div class="text-muted">${formatPrice(stats.lifetimeValue)}</div>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    // ===== CUSTOMER DETAIL =====
+    openCustomer(customerId, draft = {}) {
+        const modal = this.getCustomerModal();
+        const customer = customerId ? this.customers.getCustomer(customerId) : null;
+        if (customerId && !customer) {
+            this.showNotification('That customer no longer exists', 'warning');
+            return;
+        }
+        
+        this.renderCustomerDetail(modal, customer, draft);
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+    
+    getCustomerModal() {
+        let modal = document.getElementById('customer-modal');
+        
+        // Create modal on first use
+        if (!modal) {
+            modal = this.createCustomerModal('customer-modal');
+            document.body.appendChild(modal);
+            this.setupCustomerModalHandlers(modal);
+        }
+        
+        return modal;
+    }
+    
+    createCustomerModal(id) {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = id;
+        modal.tabIndex = -1;
+        modal.setAttribute('aria-labelledby', 'customerModalLabel');
+        modal.setAttribute('aria-hidden', 'true');
+        
+        const allergyOptions = this.customers.config.allergyFlags.map(flag => `
+            <div class="form-check form-check-inline">
+                <input class="form-check-input" type="checkbox" name="customer-allergy" id="customer-allergy-${flag.id}" value="${flag.id}">
+                <label class="form-check-label" for="customer-allergy-${flag.id}">${flag.label}</label>
+            </div>
+        `).join('');
+        
+        modal.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header bg-warning text-dark">
+                        <h5 class="modal-title" id="customerModalLabel">
+                            <i class="fas fa-user me-2" aria-hidden="true"></i><span id="customer-modal-title">Customer</span>
+                        </h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"
+                                aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="alert alert-danger d-none" id="customer-form-error" role="alert"></div>
+                        <form id="customer-form" novalidate>
+                            <input type="hidden" id="customer-id">
+                            <div class="row g-3">
+                                <div class="col-md-6">
+                                    <label for="customer-name" class="form-label">Name <span class="text-danger">*</span></label>
+                                    <input type="text" class="form-control" id="customer-name" required autocomplete="off">
+                                </div>
+                                <div class="col-md-3">
+                                    <label for="customer-phone" class="form-label">Phone</label>
+                                    <input type="tel" class="form-control" id="customer-phone" autocomplete="off">
+                                </div>
+                                <div class="col-md-3">
+                                    <label for="customer-email" class="form-label">Email</label>
+                                    <input type="email" class="form-control" id="customer-email" autocomplete="off">
+                                </div>
+                                <div class="col-12">
+                                    <label for="customer-address" class="form-label">Default Delivery Address</label>
+                                    <input type="text" class="form-control" id="customer-address"
+                                           data-address data-zone-info="customer-zone-info" aria-describedby="customer-zone-info">
+                                    <div id="customer-zone-info" class="form-text"></div>
+                                </div>
+                                <div class="col-12">
+                                    <span class="form-label d-block">Allergies</span>
+                                    ${allergyOptions}
+                                </div>
+                                <div class="col-12">
+                                    <label for="customer-notes" class="form-label">Notes</label>
+                                    <textarea class="form-control" id="customer-notes" rows="2"
+                                              placeholder="Ring the bell twice, prefers card payment..."></textarea>
+                                </div>
+                            </div>
+                        </form>
+                        <div id="customer-history" class="mt-4"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline-danger me-auto" id="customer-delete">
+                            <i class="fas fa-user-minus me-2" aria-hidden="true"></i>Delete
+                        </button>
+                        <button type="button" class="btn btn-outline-primary" id="customer-new-order">
+                            <i class="fas fa-pizza-slice me-2" aria-hidden="true"></i>New Order
+                        </button>
+                        <button type="submit" class="btn btn-success" form="customer-form">
+                            <i class="fas fa-save me-2" aria-hidden="true"></i>Save Customer
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        return modal;
+    }
+    
+    setupCustomerModalHandlers(modal) {
+        const addressField = modal.querySelector('#customer-address');
+        addressField.addEventListener('input', () => this.updateZoneInfo(addressField));
+        
+        modal.querySelector('#customer-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveCustomer(modal);
+        });
+        
+        modal.querySelector('#customer-delete').addEventListener('click', () => {
+            if (!this.requirePermission('delete')) return;
+            const customer = this.customers.getCustomer(modal.querySelector('#customer-id').value);
+            if (!customer || !confirm(`Delete ${customer.name}? Their past orders are kept.`)) return;
+        
+            this.customers.remove(customer.id);
+            if (document.getElementById('task-customer-id')?.value === customer.id) this.selectOrderCustomer(null);
+            this.refreshCustomerViews();
+            bootstrap.Modal.getOrCreateInstance(modal).hide();
+            this.showNotification(`Customer deleted: ${this.escapeHTML(customer.name)}`, 'info');
+        });
+        
+        modal.querySelector('#customer-new-order').addEventListener('click', () => {
+            const customer = this.customers.getCustomer(modal.querySelector('#customer-id').value);
+            if (!customer) return;
+        
+            this.selectOrderCustomer(customer);
+            bootstrap.Modal.getOrCreateInstance(modal).hide();
+            document.getElementById('item-pizza')?.focus();
+        });
+    }
+    
+    renderCustomerDetail(modal, customer, draft = {}) {
+        const values = customer || { name: '', phone: '', email: '', address: '', notes: '', allergies: [], ...draft };
+        
+        modal.querySelector('#customer-modal-title').textContent = customer ? customer.name : 'New Customer';
+        modal.querySelector('#customer-form-error').classList.add('d-none');
+        modal.querySelector('#customer-id').value = customer ? customer.id : '';
+        modal.querySelector('#customer-name').value = values.name;
+        modal.querySelector('#customer-phone').value = values.phone;
+        modal.querySelector('#customer-email').value = values.email;
+        modal.querySelector('#customer-address').value = values.address;
+        modal.querySelector('#customer-notes').value = values.notes;
+        modal.querySelectorAll('[name="customer-allergy"]').forEach(checkbox => {
+            checkbox.checked = values.allergies.includes(checkbox.value);
+        });
+        this.updateZoneInfo(modal.querySelector('#customer-address'));
+        
+        modal.querySelector('#customer-delete').hidden = !customer;
+        modal.querySelector('#customer-new-order').hidden = !customer;
+        modal.querySelector('#customer-history').innerHTML = customer ? this.createCustomerHistory(customer) : '';
+    }
+    
+    // Lifetime stats and every order the customer has placed, newest first
+    createCustomerHistory(customer) {
+        const stats = this.customers.getStats(customer.id, this.tasks);
+        const orders = this.customers.getOrders(customer.id, this.tasks);
+        const formatDay = value => value ? new Date(value).toLocaleDateString('en-GB') : '—';
+        
+        const statCards = [
+            ['Orders', stats.orderCount],
+            ['Lifetime value', formatPrice(stats.lifetimeValue)],
+            ['Average order', formatPrice(stats.averageOrder)],
+            ['Customer since', formatDay(stats.firstOrderAt || customer.createdAt)]
+        ].map(([label, value]) => `
+            <div class="col-6 col-md-3">
+                <div class="border rounded p-2 text-center h-100">
+                    <div class="small text-muted">${label}</div>
+                    <div class="fw-bold">${value}</div>
+                </div>
+            </div>
+        `).join('');
+        
+        const rows = orders.map(order => `
+            <tr>
+                <td>${formatDay(order.created)}</td>
+                <td>#${String(order.id).slice(-4)} ${this.escapeHTML(order.name)}</td>
+                <td>${formatPrice(order.totals?.total)}</td>
+                <td>${this.createStatusBadge(order)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <h6 class="fw-bold">Order History</h6>
+            <div class="row g-2 mb-3">${statCards}</div>
+            ${stats.favouritePizza ? `<p class="small text-muted">Favourite: ${this.escapeHTML(stats.favouritePizza)}</p>` : ''}
+            ${orders.length === 0 ? '<p class="small text-muted mb-0">No orders yet.</p>' : `
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle">
+                        <thead>
+                            <tr>
+                                <th scope="col">Date</th>
+                                <th scope="col">Order</th>
+                                <th scope="col">Total</th>
+                                <th scope="col">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+    
+    saveCustomer(modal) {
+        if (!this.requirePermission('edit')) return;
+        
+        const errorBox = modal.querySelector('#customer-form-error');
+        const data = {
+            id: modal.querySelector('#customer-id').value || null,
+            name: modal.querySelector('#customer-name').value,
+            phone: modal.querySelector('#customer-phone').value,
+            email: modal.querySelector('#customer-email').value,
+            address: modal.querySelector('#customer-address').value,
+            notes: modal.querySelector('#customer-notes').value,
+            allergies: [...modal.querySelectorAll('[name="customer-allergy"]:checked')].map(checkbox => checkbox.value)
+        };
+        
+        let customer;
+        try {
+            customer = this.customers.save(data);
+        } catch (error) {
+            errorBox.textContent = error.message;
+            errorBox.classList.remove('d-none');
+            return;
+        }
+        
+        // A customer created from the order form is picked for that order straight away
+        const orderCustomerId = document.getElementById('task-customer-id');
+        if (!data.id && orderCustomerId && !orderCustomerId.value) {
+            this.selectOrderCustomer(customer);
+        } else if (orderCustomerId?.value === customer.id) {
+            this.selectOrderCustomer(customer);
+        }
+        
+        this.refreshCustomerViews();
+        this.renderCustomerDetail(modal, customer);
+        this.showNotification(`Customer saved: ${this.escapeHTML(customer.name)}`, 'success');
+    }
+    
+    // Rows show the customer's current name, so they are redrawn rather than reused
+    refreshCustomerViews() {
+        this.renderCustomerList();
+        this.renderedRows.clear();
+        this.loadTasks();
+    }
+    
+    getCustomerName(customerId) {
+        return customerId ? this.customers.getCustomer(customerId)?.name || null : null;
+    }
+    
+    // ===== KITCHEN CAPACITY =====
+    // Recomputed from the live queue, so ETAs move as orders are bumped along
+    updateEtas(now = new Date()) {
+        const cells = document.querySelectorAll('#tasks-list [data-eta-for]');
+        if (cells.length === 0) return;
+        
+        const estimates = this.capacity.plan(this.tasks, now);
+        cells.forEach(cell => {
+            const estimate = estimates.get(parseInt(cell.dataset.etaFor));
+            const key = estimate ? `${this.formatTime(estimate.deliverAt)}|${Math.ceil(estimate.minutesLate)}` : '';
+            if (cell.dataset.etaKey === key) return;
+        
+            cell.dataset.etaKey = key;
+            cell.innerHTML = estimate ? this.createEtaDisplay(estimate) : '';
+        });
+    }
+    
+    createEtaDisplay(estimate) {
+        const late = Math.ceil(estimate.minutesLate);
+        return `
+            <span class="${late > 0 ? 'text-danger' : 'text-success'}" title="Kitchen estimate from the current queue">
+                <i class="fas fa-hourglass-half me-1" aria-hidden="true"></i>ETA ${this.formatTime(estimate.deliverAt)}${late > 0 ? ` (+${late} min)` : ''}
+            </span>
+        `;
+    }
+    
+    // Shows what the kitchen can promise for the order in the form; an untouched
+    // delivery time is pushed back to that promise, a hand-picked one only gets a warning
+    updateOrderEta() {
+        const info = document.getElementById('task-eta');
+        const dueInput = document.getElementById('task-due');
+        if (!info || !dueInput || !this.orderBuilder) return null;
+        
+        const address = document.getElementById('task-address').value;
+        const delivery = address.trim() ? this.zones.resolve(address) : null;
+        const isPreOrder = this.getOrderTiming() === 'later';
+        const estimate = this.capacity.estimate(this.tasks, {
+            items: this.orderBuilder.items,
+            extras: this.orderBuilder.extras,
+            zone: delivery ? delivery.zone.id : null,
+            due: dueInput.value ? new Date(dueInput.value).toISOString() : null,
+            schedule: isPreOrder ? { type: 'pre-order' } : null
+        });
+        
+        // Only ever later: the 30-minute default stays when the kitchen is quiet
+        if (!isPreOrder && dueInput.dataset.autoFilled === 'true' && estimate.promisedAt > new Date(dueInput.value)) {
+            dueInput.value = this.toDateTimeInputValue(estimate.promisedAt);
+        }
+        
+        const feasible = !dueInput.value || estimate.deliverAt <= new Date(dueInput.value);
+        const promised = this.formatTime(estimate.promisedAt);
+        info.classList.toggle('text-danger', !feasible);
+        info.innerHTML = feasible ? `
+            <i class="fas fa-hourglass-half me-1" aria-hidden="true"></i>
+            Kitchen can deliver by ${promised} · ${estimate.queued} order${estimate.queued === 1 ? '' : 's'} in the queue
+        ` : `
+            <i class="fas fa-exclamation-triangle me-1" aria-hidden="true"></i>
+            Too soon for the kitchen - the earliest realistic delivery is ${promised}
+            ${isPreOrder ? '' : `
+                <button type="button" class="btn btn-link btn-sm p-0 align-baseline" id="task-eta-apply"
+                        data-time="${estimate.promisedAt.toISOString()}">Use ${promised}</button>
+            `}
+        `;
+        
+        return {
+            ...estimate,
+            feasible,
+            minutesLate: dueInput.value ? (estimate.promisedAt - new Date(dueInput.value)) / 60000 : 0
+        };
+    }
+    
+    // ===== SCHEDULED ORDERS =====
+    setupScheduleHandlers() {
+        document.querySelectorAll('input[name="order-timing"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setOrderTiming(radio.value));
+        });
+        document.getElementById('task-slot-day')?.addEventListener('change', () => this.renderSlotOptions());
+        document.getElementById('task-slot')?.addEventListener('change', () => this.applySelectedSlot());
+        
+        document.getElementById('recurring-list')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-recurring-action]');
+            if (button) this.handleRecurringAction(button.dataset.recurringAction, button.dataset.recurringId);
+        });
+        this.renderRecurringList();
+    }
+    
+    getOrderTiming() {
+        return document.getElementById('order-timing-later')?.checked ? 'later' : 'asap';
+    }
+    
+    // ASAP orders pick a delivery time freely; pre-orders pick a slot that has room
+    setOrderTiming(mode) {
+        const laterFields = document.getElementById('order-timing-later-fields');
+        if (!laterFields) return;
+        
+        document.getElementById(`order-timing-${mode}`).checked = true;
+        laterFields.hidden = mode !== 'later';
+        document.getElementById('order-timing-asap-fields').hidden = mode === 'later';
+        
+        if (mode === 'later') {
+            const dayInput = document.getElementById('task-slot-day');
+            const today = new Date();
+            const lastDay = new Date(today.getTime() + this.scheduler.config.maxDaysAhead * 86400000);
+            dayInput.min = this.toDateTimeInputValue(today).slice(0, 10);
+            dayInput.max = this.toDateTimeInputValue(lastDay).slice(0, 10);
+        
+            // Late in the evening the first free slot is tomorrow
+            if (!dayInput.value) {
+                const pizzas = Math.max(1, this.scheduler.countPizzas({ items: this.orderBuilder.items }));
+                const hasRoomToday = this.scheduler.getSlots(this.tasks, dayInput.min, pizzas).some(slot => slot.fits);
+                dayInput.value = hasRoomToday
+                    ? dayInput.min
+                    : this.toDateTimeInputValue(new Date(today.getTime() + 86400000)).slice(0, 10);
+            }
+            this.renderSlotOptions();
+        } else {
+            document.getElementById('task-repeat').checked = false;
+            const address = document.getElementById('task-address');
+            const delivery = address.value.trim() ? this.zones.resolve(address.value) : null;
+            this.setDefaultDueDate(delivery ? delivery.zone.etaOffset : 0);
+            this.updateOrderEta();
+        }
+    }
+    
+    renderSlotOptions() {
+        const select = document.getElementById('task-slot');
+        if (!select || this.getOrderTiming() !== 'later') return;
+        
+        const day = document.getElementById('task-slot-day').value;
+        const pizzas = Math.max(1, this.scheduler.countPizzas({ items: this.orderBuilder.items }));
+        const slots = day && this.scheduler.isBookableDay(day) ? this.scheduler.getSlots(this.tasks, day, pizzas) : [];
+        const previous = select.value;
+        
+        select.innerHTML = slots.length === 0
+            ? '<option value="">No slots left on this day</option>'
+            : slots.map(slot => {
+                const time = this.formatTime(slot.slotStart);
+                return `
+                    <option value="${slot.slotStart.toISOString()}" ${slot.fits ? '' : 'disabled'}>
+                        ${time} · ${slot.fits ? `room for ${slot.remaining} pizza${slot.remaining === 1 ? '' : 's'}` : 'full'}
+                    </option>
+                `;
+            }).join('');
+        
+        // Keep the picked slot while it still has room, otherwise move to the first one that does
+        const open = slots.filter(slot => slot.fits).map(slot => slot.slotStart.toISOString());
+        select.value = open.includes(previous) ? previous : (open[0] || '');
+        this.applySelectedSlot();
+    }
+    
+    // The slot start becomes the delivery time, so the rest of the form works as for ASAP orders
+    applySelectedSlot() {
+        const select = document.getElementById('task-slot');
+        const repeatLabel = document.getElementById('task-repeat-label');
+        select.classList.remove('is-invalid');
+        if (!select.value) {
+            repeatLabel.textContent = 'Repeat every week';
+            return;
+        }
+        
+        const slotStart = new Date(select.value);
+        const dueInput = document.getElementById('task-due');
+        dueInput.value = this.toDateTimeInputValue(slotStart);
+        dueInput.dataset.autoFilled = 'false';
+        this.updateOrderEta();
+        repeatLabel.textContent = `Repeat every ${slotStart.toLocaleDateString('en-GB', { weekday: 'long' })} at ${this.formatTime(slotStart)}`;
+    }
+    
+    // Pre-orders must fit their slot; an ASAP order is never refused, but a full slot is flagged
+    validateOrderSlot(form) {
+        const pizzas = this.scheduler.countPizzas({ items: this.orderBuilder.items });
+        
+        if (this.getOrderTiming() === 'later') {
+            const select = document.getElementById('task-slot');
+            const slot = select.value ? this.scheduler.checkSlot(this.tasks, select.value, pizzas) : null;
+            if (slot && slot.fits) return true;
+        
+            this.renderSlotOptions();
+            select.classList.add('is-invalid');
+            return false;
+        }
+        
+        const slot = this.scheduler.checkSlot(this.tasks, form.querySelector('#task-due').value, pizzas);
+        if (!slot.fits) {
+            const time = this.formatTime(slot.slotStart);
+            this.showNotification(
+                `This order takes the ${time} slot to ${slot.load + pizzas} of ${slot.capacity} pizzas - it may run late`,
+                'warning'
+            );
+        }
+        return true;
+    }
+    
+    createScheduleBadge(task) {
+        if (!task.schedule) return '';
+        
+        const recurring = task.schedule.type === 'recurring';
+        return `
+            <span class="badge schedule-badge ms-1" title="${recurring ? 'Created from a weekly recurring order' : 'Booked in advance'}">
+                <i class="fas ${recurring ? 'fa-redo' : 'fa-calendar-alt'} me-1" aria-hidden="true"></i>${recurring ? 'Weekly' : 'Pre-order'}
+            </span>
+        `;
+    }
+    
+    // ===== RECURRING ORDERS =====
+    // Turns upcoming occurrences into real orders, all under one undo step
+    materialiseRecurring(now = new Date()) {
+        const alreadyOrdered = (template, due) => this.tasks.some(task =>
+            task.schedule?.recurringId === template.id && task.schedule.occurrence === due.toISOString());
+        const entries = this.scheduler.getDueOccurrences(now).filter(({ template, due }) => !alreadyOrdered(template, due));
+        if (entries.length === 0) return;
+        
+        const before = [...this.tasks];
+        const fullSlots = [];
+        entries.forEach(({ template, due }) => {
+            const order = this.createOrder({
+                ...template.order,
+                due: due.toISOString(),
+                schedule: { type: 'recurring', recurringId: template.id, occurrence: due.toISOString() }
+            }, 'Recurring orders');
+            // Standing orders are always placed; an overbooked slot is for the manager to sort out
+            if (!this.scheduler.checkSlot(this.tasks, order.due, this.scheduler.countPizzas(order)).fits) {
+                fullSlots.push(template.label);
+            }
+            this.tasks.push(order);
+        });
+        
+        this.scheduler.markMaterialised(entries, now);
+        this.recordHistory(`Schedule ${entries.length} recurring order(s)`, before);
+        this.saveTasks({ actor: 'Recurring orders' });
+        this.loadTasks();
+        this.updateOrderSummary();
+        this.renderRecurringList();
+        
+        this.showNotification(
+            `${entries.length} recurring order${entries.length === 1 ? '' : 's'} added for the next ${this.scheduler.config.materialiseAheadHours} hours`,
+            'info',
+            this.getUndoAction()
+        );
+        if (fullSlots.length > 0) {
+            this.showNotification(
+                `Over slot capacity: ${fullSlots.map(label => this.escapeHTML(label)).join(', ')}`,
+                'warning'
+            );
+        }
+    }
+    
+    renderRecurringList() {
+        const container = document.getElementById('recurring-list');
+        if (!container) return;
+        
+        const templates = this.scheduler.getRecurring();
+        document.getElementById('recurring-count').textContent =
+            `${templates.filter(template => !template.paused).length} active`;
+        
+        container.innerHTML = templates.length === 0
+            ? '<li class="list-group-item small text-muted">Tick "Repeat every week" on a pre-order to set one up.</li>'
+            : templates.map(template => {
+                const next = this.scheduler.getNextOccurrence(template);
+                const customerName = this.getCustomerName(template.order.customerId);
+        
+                return `
+                    <li class="list-group-item small ${template.paused ? 'recurring-paused' : ''}">
+                        <div class="d-flex justify-content-between align-items-start gap-2">
+                            <div>
+                                <strong>${this.escapeHTML(template.label)}</strong>
+                                ${template.paused ? '<span class="badge bg-secondary ms-1">Paused</span>' : ''}
+                                <div>${this.scheduler.describeRecurring(template)}${customerName ? ` · ${this.escapeHTML(customerName)}` : ''}</div>
+                                <div class="text-muted">
+                                    ${template.paused || !next ? 'No upcoming delivery' : `Next: ${this.formatDueDate(next)}`}
+                                </div>
+                            </div>
+                            <div class="btn-group btn-group-sm" role="group" aria-label="Recurring order actions">
+                                <button type="button" class="btn btn-outline-secondary" data-recurring-action="${template.paused ? 'resume' : 'pause'}"
+                                        data-recurring-id="${template.id}" title="${template.paused ? 'Resume' : 'Pause'}"
+                                        aria-label="${template.paused ? 'Resume' : 'Pause'} recurring order">
+                                    <i class="fas ${template.paused ? 'fa-play' : 'fa-pause'}" aria-hidden="true"></i>
+                                </button>
+                                <button type="button" class="btn btn-outline-secondary" data-recurring-action="skip"
+                                        data-recurring-id="${template.id}" title="Skip the next delivery"
+                                        aria-label="Skip the next delivery" ${template.paused || !next ? 'disabled' : ''}>
+                                    <i class="fas fa-forward" aria-hidden="true"></i>
+                                </button>
+                                <button type="button" class="btn btn-outline-danger" data-recurring-action="delete"
+                                        data-recurring-id="${template.id}" title="Stop this recurring order"
+                                        aria-label="Delete recurring order">
+                                    <i class="fas fa-trash" aria-hidden="true"></i>
+                                </button>
+                            </div>
+                        </div>
+                    </li>
+                `;
+            }).join('');
+    }
+    
+    // Orders already created from a template stay; these only change what comes next
+    handleRecurringAction(action, templateId) {
+        // Stopping a standing order is a manager's call; pausing and skipping are edits
+        if (!this.requirePermission(action === 'delete' ? 'delete' : 'edit')) return;
+        
+        const template = this.scheduler.getTemplate(templateId);
+        if (!template) return;
+        const label = this.escapeHTML(template.label);
+        
+        switch (action) {
+            case 'pause':
+            case 'resume':
+                this.scheduler.setPaused(templateId, action === 'pause');
+                this.showNotification(`${action === 'pause' ? 'Paused' : 'Resumed'}: ${label}`, 'info');
+                break;
+            case 'skip': {
+                const next = this.scheduler.getNextOccurrence(template);
+                if (!next) return;
+                this.scheduler.skipNext(templateId);
+                this.showNotification(`Skipping ${label} on ${this.formatDueDate(next)}`, 'info');
+                break;
+            }
+            case 'delete':
+                if (!confirm(`Stop the recurring order "${template.label}"? Orders already placed are kept.`)) return;
+                this.scheduler.removeRecurring(templateId);
+                this.showNotification(`Recurring order stopped: ${label}`, 'warning');
+                break;
+        }
+        this.renderRecurringList();
+    }
+    
+    // ===== STAFF ACCOUNTS =====
+    setupStaffHandlers() {
+        document.getElementById('staff-session')?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-staff-action]');
+            if (!button) return;
+        
+            switch (button.dataset.staffAction) {
+                case 'sign-in':
+                    this.openSignIn();
+                    break;
+                case 'sign-out':
+                    this.signOut();
+                    break;
+                case 'manage':
+                    this.openStaffManager();
+                    break;
+            }
+        });
+        
+        this.renderStaffSession();
+        if (!this.staff.getCurrentUser()) this.openSignIn();
+    }
+    
+    // The navbar shows who is signed in; actions they can't take are hidden where possible
+    renderStaffSession() {
+        const container = document.getElementById('staff-session');
+        if (!container) return;
+        
+        const user = this.staff.getCurrentUser();
+        const role = user ? this.staff.getRole(user.role) : null;
+        container.innerHTML = user ? `
+            <div class="dropdown">
+                <button type="button" class="btn btn-sm btn-outline-dark dropdown-toggle" data-bs-toggle="dropdown"
+                        aria-expanded="false" aria-label="Signed in as ${this.escapeHTML(user.name)}, ${role.label}">
+                    <i class="fas ${role.icon} me-1" aria-hidden="true"></i>${this.escapeHTML(user.name)}
+                    <span class="badge bg-warning text-dark ms-1">${role.label}</span>
+                </button>
+                <ul class="dropdown-menu dropdown-menu-end">
+                    ${this.staff.can('staff', user) ? `
+                        <li><button type="button" class="dropdown-item" data-staff-action="manage">
+                            <i class="fas fa-users-cog me-2" aria-hidden="true"></i>Manage staff
+                        </button></li>
+                    ` : ''}
+                    <li><button type="button" class="dropdown-item" data-staff-action="sign-in">
+                        <i class="fas fa-user-friends me-2" aria-hidden="true"></i>Switch user
+                    </button></li>
+                    <li><button type="button" class="dropdown-item" data-staff-action="sign-out">
+                        <i class="fas fa-sign-out-alt me-2" aria-hidden="true"></i>Sign out
+                    </button></li>
+                </ul>
+            </div>
+        ` : `
+            <button type="button" class="btn btn-sm btn-warning" data-staff-action="sign-in">
+                <i class="fas fa-user-lock me-1" aria-hidden="true"></i>Sign in
+            </button>
+        `;
+        
+        const clearButton = document.getElementById('clear-all');
+        if (clearButton) clearButton.hidden = !this.staff.can('clear', user);
+        const importButton = document.getElementById('import-orders');
+        if (importButton) importButton.hidden = !this.staff.can('import', user);
+    }
+    
+    // Every gated action asks here first; with nobody signed in it opens the PIN dialog
+    requirePermission(permission, status = null) {
+        const user = this.staff.getCurrentUser();
+        if (!user) {
+            this.showNotification('Sign in with your PIN first', 'warning');
+            this.openSignIn();
+            return false;
+        }
+        
+        const allowed = permission === 'status'
+            ? this.staff.canSetStatus(status, user)
+            : this.staff.can(permission, user);
+        if (!allowed) {
+            const role = this.staff.getRole(user.role);
+            this.showNotification(
+                `${role.label}s can't ${this.staff.describePermission(permission, status, this.statusMachine)}`,
+                'warning'
+            );
+        }
+        return allowed;
+    }
+    
+    // A driver's account and their place on the dispatch roster share a name
+    canCloseRun(runId) {
+        const user = this.staff.getCurrentUser();
+        const run = this.dispatch.getActiveRuns(this.tasks).find(candidate => candidate.runId === runId);
+        const isOwnRun = Boolean(user && run && run.driverName.trim().toLowerCase() === user.name.toLowerCase());
+        
+        if (isOwnRun && this.staff.can('close-own-run', user)) return true;
+        return this.requirePermission('dispatch');
+    }
+    
+    openSignIn() {
+        const modal = this.getSignInModal();
+        this.renderSignIn(modal);
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+    
+    getSignInModal() {
+        let modal = document.getElementById('staff-signin-modal');
+        
+        // Create modal on first use
+        if (!modal) {
+            modal = this.createSignInModal('staff-signin-modal');
+            document.body.appendChild(modal);
+            modal.querySelector('#staff-signin-form').addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.handleSignIn(modal);
+            });
+        }
+        
+        return modal;
+    }
+    
+    createSignInModal(id) {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = id;
+        modal.tabIndex = -1;
+        modal.setAttribute('aria-labelledby', 'staffSignInLabel');
+        modal.setAttribute('aria-hidden', 'true');
+        
+        modal.innerHTML = `
+            <div class="modal-dialog modal-sm modal-dialog-centered">
+                <div class="modal-content">
+                    <div class="modal-header bg-warning text-dark">
+                        <h5 class="modal-title" id="staffSignInLabel">
+                            <i class="fas fa-user-lock me-2" aria-hidden="true"></i>Staff Sign-in
+                        </h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"
+                                aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="staff-signin-form" novalidate>
+                            <p class="small text-muted" id="staff-signin-intro"></p>
+                            <div class="mb-3" id="staff-signin-account-field">
+                                <label for="staff-signin-account" class="form-label">Who is signing in?</label>
+                                <select class="form-select" id="staff-signin-account"></select>
+                            </div>
+                            <div class="mb-3" id="staff-signin-name-field">
+                                <label for="staff-signin-name" class="form-label">Your name</label>
+                                <input type="text" class="form-control" id="staff-signin-name" maxlength="40" autocomplete="off">
+                            </div>
+                            <label for="staff-signin-pin" class="form-label">PIN</label>
+                            <input type="password" class="form-control" id="staff-signin-pin" inputmode="numeric"
+                                   maxlength="6" autocomplete="off" aria-describedby="staff-signin-error">
+                            <div class="invalid-feedback" id="staff-signin-error"></div>
+                        </form>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-warning w-100" form="staff-signin-form" id="staff-signin-submit">
+                            <i class="fas fa-sign-in-alt me-2" aria-hidden="true"></i>Sign in
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        return modal;
+    }
+    
+    // A browser without accounts sets up its first manager instead of signing in
+    renderSignIn(modal) {
+        const accounts = this.staff.getAccounts();
+        const isFirstRun = accounts.length === 0;
+        const current = this.staff.getCurrentUser();
+        const pinField = modal.querySelector('#staff-signin-pin');
+        
+        modal.querySelector('#staff-signin-intro').textContent = isFirstRun
+            ? 'No staff accounts yet. Create the first manager account; the manager then adds everyone else.'
+            : 'Pick your name and enter your PIN. Orders you change are stamped with your name.';
+        modal.querySelector('#staff-signin-account-field').hidden = isFirstRun;
+        modal.querySelector('#staff-signin-name-field').hidden = !isFirstRun;
+        modal.querySelector('#staff-signin-account').innerHTML = accounts.map(account => `
+            <option value="${account.id}" ${current && current.id === account.id ? 'selected' : ''}>
+                ${this.escapeHTML(account.name)} (${this.staff.getRole(account.role).label})
+            </option>
+        `).join('');
+        modal.querySelector('#staff-signin-submit').lastChild.textContent = isFirstRun ? 'Create manager' : 'Sign in';
+        modal.querySelector('#staff-signin-name').value = '';
+        pinField.value = '';
+        pinField.classList.remove('is-invalid');
+    }
+    
+    async handleSignIn(modal) {
+        const pinField = modal.querySelector('#staff-signin-pin');
+        const previous = this.staff.getCurrentUser();
+        
+        try {
+            let user;
+            if (this.staff.hasAccounts()) {
+                user = await this.staff.signIn(modal.querySelector('#staff-signin-account').value, pinField.value);
+            } else {
+                const account = await this.staff.addAccount({
+                    name: modal.querySelector('#staff-signin-name').value,
+                    role: 'manager',
+                    pin: pinField.value
+                });
+                user = await this.staff.signIn(account.id, pinField.value);
+            }
+        
+            this.onStaffChanged(previous, user);
+            bootstrap.Modal.getOrCreateInstance(modal).hide();
+            this.showNotification(`Signed in as ${this.escapeHTML(user.name)} (${this.staff.getRole(user.role).label})`, 'success');
+        } catch (error) {
+            modal.querySelector('#staff-signin-error').textContent = error.message;
+            pinField.classList.add('is-invalid');
+            pinField.value = '';
+            pinField.focus();
+        }
+    }
+    
+    signOut() {
+        const previous = this.staff.getCurrentUser();
+        this.staff.signOut();
+        this.onStaffChanged(previous, null);
+        this.showNotification('Signed out', 'info');
+        this.openSignIn();
+    }
+    
+    // The undo history belongs to whoever made the changes
+    onStaffChanged(previous, user) {
+        if (previous?.id !== user?.id) {
+            this.history.clear();
+            this.updateHistoryButtons();
+        }
+        this.renderStaffSession();
+    }
+    
+    openStaffManager() {
+        if (!this.requirePermission('staff')) return;
+        
+        const modal = this.getStaffModal();
+        this.renderStaffList(modal);
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+    
+    getStaffModal() {
+        let modal = document.getElementById('staff-modal');
+        
+        // Create modal on first use
+        if (!modal) {
+            modal = this.createStaffModal('staff-modal');
+            document.body.appendChild(modal);
+            modal.querySelector('#staff-form').addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.addStaffAccount(modal);
+            });
+            modal.querySelector('#staff-list').addEventListener('click', (event) => {
+                const button = event.target.closest('[data-account-action]');
+                if (button) this.handleStaffAction(modal, button.dataset.accountAction, button.dataset.accountId);
+            });
+        }
+        
+        return modal;
+    }
+    
+    createStaffModal(id) {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = id;
+        modal.tabIndex = -1;
+        modal.setAttribute('aria-labelledby', 'staffModalLabel');
+        modal.setAttribute('aria-hidden', 'true');
+        
+        const roleOptions = Object.entries(this.staff.roles)
+            .map(([value, role]) => `<option value="${value}">${role.label}</option>`)
+            .join('');
+        
+        modal.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header bg-warning text-dark">
+                        <h5 class="modal-title" id="staffModalLabel">
+                            <i class="fas fa-users-cog me-2" aria-hidden="true"></i>Staff Accounts
+                        </h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal"
+                                aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <ul class="list-group mb-4" id="staff-list"></ul>
+                        <div class="alert alert-danger d-none" id="staff-form-error" role="alert"></div>
+                        <form id="staff-form" class="row g-2 align-items-end" novalidate>
+                            <div class="col-md-5">
+                                <label for="staff-name" class="form-label">Name</label>
+                                <input type="text" class="form-control" id="staff-name" maxlength="40" autocomplete="off" required>
+                            </div>
+                            <div class="col-md-3">
+                                <label for="staff-role" class="form-label">Role</label>
+                                <select class="form-select" id="staff-role">${roleOptions}</select>
+                            </div>
+                            <div class="col-md-2">
+                                <label for="staff-pin" class="form-label">PIN</label>
+                                <input type="password" class="form-control" id="staff-pin" inputmode="numeric"
+                                       maxlength="6" autocomplete="new-password" required>
+                            </div>
+                            <div class="col-md-2">
+                                <button type="submit" class="btn btn-success w-100">
+                                    <i class="fas fa-user-plus me-1" aria-hidden="true"></i>Add
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        return modal;
+    }
+    
+    renderStaffList(modal) {
+        const current = this.staff.getCurrentUser();
+        
+        modal.querySelector('#staff-list').innerHTML = this.staff.getAccounts().map(account => {
+            const role = this.staff.getRole(account.role);
+            const isCurrent = current && current.id === account.id;
+            return `
+                <li class="list-group-item d-flex justify-content-between align-items-center gap-2">
+                    <div>
+                        <i class="fas ${role.icon} me-2 text-muted" aria-hidden="true"></i>
+                        <span class="fw-medium">${this.escapeHTML(account.name)}</span>
+                        <span class="badge bg-light text-dark border ms-1">${role.label}</span>
+                        ${isCurrent ? '<span class="badge bg-success ms-1">Signed in</span>' : ''}
+                    </div>
+                    <div class="btn-group btn-group-sm" role="group" aria-label="Account actions">
+                        <button type="button" class="btn btn-outline-secondary" data-account-action="reset-pin"
+                                data-account-id="${account.id}" aria-label="Reset PIN for ${this.escapeHTML(account.name)}">
+                            <i class="fas fa-key me-1" aria-hidden="true"></i>Reset PIN
+                        </button>
+                        <button type="button" class="btn btn-outline-danger" data-account-action="remove"
+                                data-account-id="${account.id}" aria-label="Remove ${this.escapeHTML(account.name)}"
+                                ${isCurrent ? 'disabled' : ''}>
+                            <i class="fas fa-user-minus" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    async addStaffAccount(modal) {
+        if (!this.requirePermission('staff')) return;
+        
+        const errorBox = modal.querySelector('#staff-form-error');
+        try {
+            const account = await this.staff.addAccount({
+                name: modal.querySelector('#staff-name').value,
+                role: modal.querySelector('#staff-role').value,
+                pin: modal.querySelector('#staff-pin').value
+            });
+            modal.querySelector('#staff-form').reset();
+            errorBox.classList.add('d-none');
+            this.renderStaffList(modal);
+            this.showNotification(`Staff account added: ${this.escapeHTML(account.name)}`, 'success');
+        } catch (error) {
+            errorBox.textContent = error.message;
+            errorBox.classList.remove('d-none');
+        }
+    }
+    
+    async handleStaffAction(modal, action, accountId) {
+        if (!this.requirePermission('staff')) return;
+        
+        const account = this.staff.getAccount(accountId);
+        if (!account) return;
+        
+        try {
+            if (action === 'reset-pin') {
+                const pin = prompt(`New PIN for ${account.name} (4 to 6 digits):`);
+                if (pin === null) return;
+                await this.staff.resetPin(account.id, pin.trim());
+                this.showNotification(`PIN changed for ${this.escapeHTML(account.name)}`, 'success');
+            } else if (action === 'remove') {
+                if (!confirm(`Remove ${account.name}? Orders they changed keep their name.`)) return;
+                this.staff.remove(account.id);
+                this.showNotification(`Staff account removed: ${this.escapeHTML(account.name)}`, 'info');
+            }
+        } catch (error) {
+            this.showNotification(this.escapeHTML(error.message), 'warning');
+        }
+        this.renderStaffList(modal);
+    }
+    
+    // ===== AUDIT LOG =====
+    // Who is making changes from this page, for the audit log and the order's updatedBy
+    getActor() {
+        return this.staff.getCurrentUser()?.name || this.audit.config.defaultActor;
+    }
+    
+    openAuditDrawer(taskId) {
+        this.auditOrderId = taskId;
+        const drawer = this.getAuditDrawer();
+        this.renderAuditDrawer();
+        bootstrap.Offcanvas.getOrCreateInstance(drawer).show();
+    }
+    
+    getAuditDrawer() {
+        let drawer = document.getElementById('audit-drawer');
+        
+        // Create drawer on first use
+        if (!drawer) {
+            drawer = this.createAuditDrawer('audit-drawer');
+            document.body.appendChild(drawer);
+            drawer.addEventListener('hidden.bs.offcanvas', () => {
+                this.auditOrderId = null;
+            });
+        }
+        
+        return drawer;
+    }
+    
+    createAuditDrawer(id) {
+        const drawer = document.createElement('div');
+        drawer.className = 'offcanvas offcanvas-end audit-drawer';
+        drawer.id = id;
+        drawer.tabIndex = -1;
+        drawer.setAttribute('aria-labelledby', 'auditDrawerLabel');
+        
+        drawer.innerHTML = `
+            <div class="offcanvas-header bg-warning text-dark">
+                <h5 class="offcanvas-title" id="auditDrawerLabel">
+                    <i class="fas fa-history me-2" aria-hidden="true"></i>Order History
+                </h5>
+                <button type="button" class="btn-close" data-bs-dismiss="offcanvas" aria-label="Close"></button>
+            </div>
+            <div class="offcanvas-body">
+                <p class="fw-medium mb-1" id="audit-drawer-order"></p>
+                <p class="small text-muted" id="audit-drawer-summary"></p>
+                <ol class="list-unstyled audit-entries" id="audit-drawer-entries"></ol>
+            </div>
+        `;
+        
+        return drawer;
+    }
+    
+    // Newest change first
+    renderAuditDrawer() {
+        const drawer = document.getElementById('audit-drawer');
+        if (!drawer || this.auditOrderId === null) return;
+        
+        const task = this.tasks.find(order => order.id === this.auditOrderId);
+        const entries = this.audit.getOrderEntries(this.auditOrderId).reverse();
+        
+        drawer.querySelector('#audit-drawer-order').textContent = task ? task.name : `Order #${this.auditOrderId}`;
+        drawer.querySelector('#audit-drawer-summary').textContent = task
+            ? `Order #${task.id} · revision ${task.revision}${task.updatedBy ? ` by ${task.updatedBy}` : ''} · ${entries.length} logged change${entries.length === 1 ? '' : 's'}`
+            : 'This order has been deleted';
+        drawer.querySelector('#audit-drawer-entries').innerHTML = entries.length === 0
+            ? '<li class="text-muted small">No changes logged yet. Changes made before the audit log existed are not shown.</li>'
+            : entries.map(entry => `
+                <li class="audit-entry audit-entry-${entry.action}">
+                    <div class="small text-muted">
+                        ${this.formatDueDate(entry.at)} · <i class="fas fa-user me-1" aria-hidden="true"></i>${this.escapeHTML(entry.actor)}
+                    </div>
+                    <div>${this.describeAuditEntry(entry)}</div>
+                </li>
+            `).join('');
+    }
+    
+    describeAuditEntry(entry) {
+        if (entry.action === 'created') return '<strong>Order placed</strong>';
+        if (entry.action === 'deleted') return '<strong>Order deleted</strong>';
+        
+        const format = value => entry.field === 'customerId' && value !== null
+            ? this.getCustomerName(value) || 'deleted customer'
+            : this.audit.formatValue(entry.field, value);
+        
+        return `
+            <strong>${this.audit.getFieldLabel(entry.field)}</strong>:
+            <span class="edit-diff-before">${this.escapeHTML(format(entry.oldValue))}</span>
+            <i class="fas fa-arrow-right mx-1" aria-hidden="true"></i>
+            <span class="edit-diff-after">${this.escapeHTML(format(entry.newValue))}</span>
+        `;
+    }
+    
+    // ===== EDIT HANDLING =====
+    handleEdit(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const modal = this.getEditModal();
+        this.editingTaskId = taskId;
+        
+        // The version being edited, compared against the latest one on save
+        this.editBase = task;
+        this.populateEditModal(modal, task);
+        this.showEditStep(modal, 'form');
+        
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+    
+    getEditModal() {
+        let modal = document.getElementById('edit-order-modal');
+        
+        // Create modal on first use
+        if (!modal) {
+            modal = this.createEditModal('edit-order-modal');
+            document.body.appendChild(modal);
+            this.editBuilder = this.createItemBuilder(modal.querySelector('#edit-item-builder'), 'edit-item');
+            this.setupEditModalHandlers(modal);
+        }
+        
+        return modal;
+    }
+    
+    createEditModal(id) {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = id;
+        modal.tabIndex = -1;
+        modal.setAttribute('aria-labelledby', 'editOrderModalLabel');
+        modal.setAttribute('aria-hidden', 'true');
+        
+        modal.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header bg-warning text-dark">
+                        <h5 class="modal-title" id="editOrderModalLabel">
+                            <i class="fas fa-edit me-2" aria-hidden="true"></i>Edit Order
+                        </h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" 
+                                aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="small text-muted mb-3" id="edit-revision"></p>
+                        <form id="edit-order-form" class="edit-step" data-step="form" novalidate>
+                            <div class="row">
+                                <div class="col-md-6">
+                                    <fieldset class="order-builder mb-3">
+                                        <legend class="form-label fs-6">Pizzas <span class="text-danger">*</span></legend>
+                                        <div id="edit-item-builder"></div>
+                                    </fieldset>
+                                </div>
+                                <div class="col-md-6">
+                                    <div class="mb-3">
+                                        <label for="edit-description" class="form-label">Special Instructions</label>
+                                        <textarea class="form-control" id="edit-description" rows="3"></textarea>
+                                    </div>
+                                    <div class="mb-3">
+                                        <label for="edit-due" class="form-label">Delivery Time <span class="text-danger">*</span></label>
+                                        <input type="datetime-local" class="form-control" id="edit-due" required>
+                                        <div class="invalid-feedback">Please select a delivery time.</div>
+                                    </div>
+                                    <div class="mb-3">
+                                        <label for="edit-priority" class="form-label">Priority Level</label>
+                                        <select class="form-select" id="edit-priority">
+                                            <option value="low">Low (35 min delivery)</option>
+                                            <option value="medium">Medium (25 min delivery)</option>
+                                            <option value="high">High (15 min delivery)</option>
+                                        </select>
+                                    </div>
+                                    <div class="mb-3">
+                                        <label for="edit-address" class="form-label">Delivery Address <span class="text-danger">*</span></label>
+                                        <input type="text" class="form-control" id="edit-address" required
+                                               data-address data-zone-info="edit-zone-info" aria-describedby="edit-zone-info">
+                                        <div id="edit-zone-info" class="form-text"></div>
+                                        <div class="invalid-feedback">Please enter a delivery address.</div>
+                                    </div>
+                                    <div class="mb-3">
+                                        <label for="edit-status" class="form-label">Status</label>
+                                        <select class="form-select" id="edit-status"></select>
+                                        <div class="form-text">Only the next allowed stages are listed</div>
+                                    </div>
+                                </div>
+                            </div>
+                        </form>
+                        <div class="edit-step" data-step="review" hidden>
+                            <h6 class="fw-bold mb-3">Review your changes</h6>
+                            <div class="table-responsive">
+                                <table class="table table-sm align-middle">
+                                    <thead>
+                                        <tr>
+                                            <th scope="col">Field</th>
+                                            <th scope="col">Before</th>
+                                            <th scope="col">After</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody id="edit-diff-body">
+                                        <!-- Changed fields will be listed here -->
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                        <div class="edit-step" data-step="conflict" hidden>
+                            <div class="alert alert-warning d-flex align-items-start" role="alert">
+                                <i class="fas fa-code-branch fa-lg me-3 mt-1" aria-hidden="true"></i>
+                                <div id="edit-conflict-message"></div>
+                            </div>
+                            <div class="table-responsive">
+                                <table class="table table-sm align-middle">
+                                    <thead>
+                                        <tr>
+                                            <th scope="col">Field</th>
+                                            <th scope="col">Saved version</th>
+                                            <th scope="col">Your version</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody id="edit-conflict-body">
+                                        <!-- Fields changed on either side will be listed here -->
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">
+                            <i class="fas fa-times me-2" aria-hidden="true"></i>Cancel
+                        </button>
+                        <button type="button" class="btn btn-outline-warning" id="edit-back" data-step="review" hidden>
+                            <i class="fas fa-arrow-left me-2" aria-hidden="true"></i>Back
+                        </button>
+                        <button type="button" class="btn btn-warning" id="edit-review" data-step="form">
+                            <i class="fas fa-search me-2" aria-hidden="true"></i>Review Changes
+                        </button>
+                        <button type="button" class="btn btn-success" id="edit-save" data-step="review" hidden>
+                            <i class="fas fa-save me-2" aria-hidden="true"></i>Save Changes
+                        </button>
+                        <button type="button" class="btn btn-outline-warning" id="conflict-edit-again" data-step="conflict" hidden>
+                            <i class="fas fa-edit me-2" aria-hidden="true"></i>Edit Again
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary" id="conflict-keep-theirs" data-step="conflict" hidden>
+                            <i class="fas fa-history me-2" aria-hidden="true"></i>Keep Saved
+                        </button>
+                        <button type="button" class="btn btn-danger" id="conflict-use-mine" data-step="conflict" hidden>
+                            <i class="fas fa-save me-2" aria-hidden="true"></i>Save Mine
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        return modal;
+    }
+    
+    setupEditModalHandlers(modal) {
+        const form = modal.querySelector('#edit-order-form');
+        
+        form.querySelectorAll('input, textarea, select').forEach(field => {
+            field.addEventListener('blur', () => this.validateField(field));
+        });
+        
+        modal.querySelector('#edit-review').addEventListener('click', () => {
+            this.reviewEdit(modal);
+        });
+        
+        modal.querySelector('#edit-back').addEventListener('click', () => {
+            this.showEditStep(modal, 'form');
+        });
+        
+        modal.querySelector('#edit-save').addEventListener('click', () => {
+            this.saveEdit(modal);
+        });
+        
+        // Cancelling just drops the pending edit, the order was never touched
+        modal.addEventListener('hidden.bs.modal', () => {
+            this.editingTaskId = null;
+            this.editBase = null;
+            this.pendingEdit = null;
+        });
+        
+        modal.querySelector('#conflict-keep-theirs').addEventListener('click', () => {
+            this.resolveConflict(modal, 'theirs');
+        });
+        
+        modal.querySelector('#conflict-use-mine').addEventListener('click', () => {
+            this.resolveConflict(modal, 'mine');
+        });
+        
+        modal.querySelector('#conflict-edit-again').addEventListener('click', () => {
+            this.resolveConflict(modal, 'edit');
+        });
+    }
+    
+    populateEditModal(modal, task) {
+        const form = modal.querySelector('#edit-order-form');
+        form.querySelectorAll('.is-valid, .is-invalid').forEach(field => {
+            field.classList.remove('is-valid', 'is-invalid');
+        });
         
-        requiredFields.forEach(field => {
-            if (!this.validateField(field)) {
-                isValid = false;
-            }
+        this.setBuilderContents(this.editBuilder, task.items, task.extras);
+        
+        const dueInput = modal.querySelector('#edit-due');
+        dueInput.value = this.toDateTimeInputValue(task.due);
+        dueInput.dataset.originalValue = dueInput.value;
+        
+        modal.querySelector('#edit-description').value = task.description || '';
+        modal.querySelector('#edit-priority').value = task.priority || 'medium';
+        const addressInput = modal.querySelector('#edit-address');
+        addressInput.value = task.address || task.location || '';
+        this.updateZoneInfo(addressInput);
+        modal.querySelector('#edit-revision').textContent =
+            `Revision ${task.revision || 1} · last changed ${this.formatDueDate(task.updatedAt || task.created)}`;
+        
+        // Current status plus the transitions the lifecycle allows from it
+        const statusOptions = [task.status, ...this.statusMachine.getInfo(task.status).next];
+        modal.querySelector('#edit-status').innerHTML = statusOptions.map(status => `
+            <option value="${status}"${status === task.status ? ' selected' : ''}>
+                ${this.statusMachine.getInfo(status).label}
+            </option>
+        `).join('');
+    }
+    
+    showEditStep(modal, step) {
+        modal.querySelectorAll('[data-step]').forEach(element => {
+            element.hidden = element.dataset.step !== step;
         });
+    }
+    
+    getEditFormData(modal, task) {
+        const dueInput = modal.querySelector('#edit-due');
         
-        return isValid;
+        return {
+            items: this.editBuilder.items.map(item => ({ ...item })),
+            extras: this.editBuilder.extras.map(extra => ({ ...extra })),
+            description: modal.querySelector('#edit-description').value.trim(),
+            // Keep the stored value when the field was left alone
+            due: dueInput.value === dueInput.dataset.originalValue ? task.due : dueInput.value,
+            priority: modal.querySelector('#edit-priority').value,
+            address: modal.querySelector('#edit-address').value.trim(),
+            status: modal.querySelector('#edit-status').value
+        };
     }
     
-    validateField(field) {
-        field.classList.remove('is-invalid', 'is-valid');
+    getOrderFields() {
+        const describeContents = order => [
+            this.describeItems(order.items || []),
+            ...(order.extras || []).map(extra => this.describeExtra(extra))
+        ].filter(Boolean).join(', ');
         
-        if (field.hasAttribute('required') && !field.value.trim()) {
-            field.classList.add('is-invalid');
-            return false;
+        return [
+            {
+                key: 'items',
+                label: 'Items',
+                changed: (task, data) => JSON.stringify([task.items, task.extras || []]) !==
+                    JSON.stringify([data.items, data.extras || []]),
+                format: describeContents
+            },
+            { key: 'description', label: 'Instructions', format: order => order.description || '—' },
+            {
+                key: 'due',
+                label: 'Delivery Time',
+                changed: (task, data) => new Date(task.due).getTime() !== new Date(data.due).getTime(),
+                format: order => this.formatDueDate(order.due)
+            },
+            { key: 'priority', label: 'Priority', format: order => this.getPriorityInfo(order.priority).text },
+            { key: 'address', label: 'Delivery Address', format: order => order.address || order.location || '—' },
+            { key: 'status', label: 'Status', format: order => this.statusMachine.getInfo(order.status).label }
+        ];
+    }
+    
+    getOrderChanges(task, data) {
+        return this.getOrderFields()
+            .filter(field => field.changed ? field.changed(task, data) : (task[field.key] || '') !== (data[field.key] || ''))
+            .map(field => ({
+                key: field.key,
+                label: field.label,
+                before: field.format(task),
+                after: field.format(data)
+            }));
+    }
+    
+    reviewEdit(modal) {
+        const task = this.editBase;
+        if (!task) return;
+        
+        const form = modal.querySelector('#edit-order-form');
+        if (!this.validateOrderForm(form, this.editBuilder)) return;
+        
+        const data = this.getEditFormData(modal, task);
+        const changes = this.getOrderChanges(task, data);
+        
+        if (changes.length === 0) {
+            this.showNotification('No changes to save', 'info');
+            return;
         }
+        if (data.status !== task.status && !this.requirePermission('status', data.status)) return;
         
-        if (field.type === 'datetime-local') {
-            const selectedDate = new Date(field.value);
-            const now = new Date();
-            
-            if (selectedDate < now) {
-                field.classList.add('is-invalid');
-                field.nextElementSibling.textContent = 'Please select a future date and time';
-                return false;
+        // Only the changed fields are written back to the order
+        this.pendingEdit = changes.reduce((update, change) => {
+            if (change.key === 'items') {
+                update.items = data.items;
+                update.extras = data.extras;
+            } else {
+                update[change.key] = data[change.key];
             }
+            return update;
+        }, {});
+        
+        modal.querySelector('#edit-diff-body').innerHTML = changes.map(change => `
+            <tr>
+                <th scope="row" class="text-nowrap">${change.label}</th>
+                <td class="edit-diff-before">${this.escapeHTML(change.before)}</td>
+                <td class="edit-diff-after">${this.escapeHTML(change.after)}</td>
+            </tr>
+        `).join('');
+        
+        this.showEditStep(modal, 'review');
+    }
+    
+    async saveEdit(modal) {
+        if (this.editingTaskId === null || !this.pendingEdit) return;
+        
+        // Optimistic concurrency: only save over the revision the edit started from
+        const latest = await this.getLatestOrder(this.editingTaskId);
+        if (!latest) {
+            this.showNotification('This order was deleted while you were editing it', 'warning');
+            bootstrap.Modal.getOrCreateInstance(modal).hide();
+            return;
         }
         
-        if (field.value.trim()) {
-            field.classList.add('is-valid');
+        if (latest.revision !== this.editBase.revision) {
+            this.showConflict(modal, latest);
+            return;
         }
         
-        return true;
+        this.editTask(this.editingTaskId, this.pendingEdit);
+        bootstrap.Modal.getOrCreateInstance(modal).hide();
     }
     
-    getFormData(form) {
-        return {
-            name: document.getElementById('task-name').value,
-            description: document.getElementById('task-description').value,
-            due: document.getElementById('task-due').value,
-            priority: document.getElementById('task-priority').value
-        };
+    // The newest of the in-memory order and the stored one (another device may have saved)
+    async getLatestOrder(taskId) {
+        const inMemory = this.tasks.find(task => task.id === taskId) || null;
+        
+        try {
+            const stored = await this.repository.loadOrder(taskId);
+            if (stored && (!inMemory || stored.revision > inMemory.revision)) {
+                this.tasks = inMemory
+                    ? this.tasks.map(task => task.id === taskId ? stored : task)
+                    : [...this.tasks, stored];
+                this.auditBase = [...this.tasks];
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Could not check the stored order, using the local copy:', error);
+        }
+        
+        return inMemory;
     }
     
-    setupFilterHandlers() {
-        document.querySelectorAll('input[name="status-filter"]').forEach(radio => {
-            radio.addEventListener('change', (event) => {
-                this.currentFilter = event.target.id.replace('filter-', '');
-                this.loadTasks();
-            });
+    // ===== EDIT CONFLICTS =====
+    showConflict(modal, latest) {
+        const base = this.editBase;
+        const mine = { ...latest, ...this.pendingEdit };
+        const theirKeys = this.getOrderChanges(base, latest).map(change => change.key);
+        const myKeys = Object.keys(this.pendingEdit).map(key => key === 'extras' ? 'items' : key);
+        const keys = new Set([...theirKeys, ...myKeys]);
+        
+        const rows = this.getOrderFields().filter(field => keys.has(field.key)).map(field => {
+            const theirs = field.format(latest);
+            const yours = field.format(mine);
+            const clash = theirKeys.includes(field.key) && myKeys.includes(field.key) && theirs !== yours;
+            return `
+                <tr class="${clash ? 'table-warning' : ''}">
+                    <th scope="row" class="text-nowrap">
+                        ${field.label}${clash ? ' <span class="badge bg-warning text-dark">both changed</span>' : ''}
+                    </th>
+                    <td>${this.escapeHTML(theirs)}</td>
+                    <td class="edit-diff-after">${this.escapeHTML(yours)}</td>
+                </tr>
+            `;
         });
+        
+        modal.querySelector('#edit-conflict-body').innerHTML = rows.join('');
+        modal.querySelector('#edit-conflict-message').innerHTML = `
+            <strong>This order changed while you were editing it.</strong><br>
+            You started from revision ${base.revision}, the saved order is now at revision ${latest.revision}
+            (changed ${this.formatDueDate(latest.updatedAt)}). Saving yours keeps their other changes
+            and overwrites only the fields you edited.
+        `;
+        
+        this.showEditStep(modal, 'conflict');
     }
     
-    setupSortHandlers() {
-        document.querySelectorAll('input[name="sort-by"]').forEach(radio => {
-            radio.addEventListener('change', (event) => {
-                this.currentSort = event.target.id.replace('sort-', '');
-                this.loadTasks();
-            });
-        });
+    resolveConflict(modal, choice) {
+        const latest = this.tasks.find(task => task.id === this.editingTaskId);
+        if (!latest) return;
+        
+        if (choice === 'theirs') {
+            this.loadTasks();
+            this.updateOrderSummary();
+            bootstrap.Modal.getOrCreateInstance(modal).hide();
+            this.showNotification('Your changes were discarded, the saved order was kept', 'info');
+            return;
+        }
+        
+        if (choice === 'edit') {
+            // Start over from the latest version, keeping nothing from the stale edit
+            this.editBase = latest;
+            this.pendingEdit = null;
+            this.populateEditModal(modal, latest);
+            this.showEditStep(modal, 'form');
+            return;
+        }
+        
+        const update = { ...this.pendingEdit };
+        if (update.status && update.status !== latest.status &&
+            !this.statusMachine.canTransition(latest.status, update.status)) {
+            delete update.status;
+            this.showNotification(`Status left as "${this.statusMachine.getInfo(latest.status).label}", your status change no longer applies`, 'warning');
+        }
+        
+        this.editTask(this.editingTaskId, update);
+        bootstrap.Modal.getOrCreateInstance(modal).hide();
     }
     
-    setupActionHandlers() {
-        // Event delegation for action buttons
-        document.getElementById('tasks-list')?.addEventListener('click', (event) => {
-            const row = event.target.closest('tr');
-            if (!row || !row.dataset.id) return;
-            
-            const taskId = parseInt(row.dataset.id);
+    // ===== IMPORT / EXPORT =====
+    setupTransferHandlers() {
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportOrders(button.dataset.export));
+        });
+        
+        const fileInput = document.getElementById('import-file');
+        document.getElementById('import-orders')?.addEventListener('click', () => {
+            if (this.requirePermission('import')) fileInput?.click();
+        });
+        
+        fileInput?.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (file) this.handleImportFile(file);
             
-            if (event.target.closest('.btn-edit')) {
-                this.handleEdit(taskId);
-            } else if (event.target.closest('.btn-complete')) {
-                this.markAsCompleted(taskId);
-            } else if (event.target.closest('.btn-delete')) {
-                this.deleteTask(taskId);
-            }
+            // Allow picking the same file again after a fix
+            fileInput.value = '';
         });
     }
     
-    setupClearAllHandler() {
-        const clearButton = document.getElementById('clear-all');
-        if (clearButton) {
-            clearButton.addEventListener('click', () => {
-                if (this.tasks.length === 0) {
-                    this.showNotification('No orders to clear', 'info');
-                    return;
-                }
-                
-                if (confirm('Are you sure you want to delete ALL pizza orders? This action cannot be undone.')) {
-                    this.tasks = [];
-                    this.saveTasks();
-                    this.loadTasks();
-                    this.updateOrderSummary();
-                    this.showNotification('All orders cleared', 'warning');
-                }
+    // Exports exactly what the table shows (or the bulk selection), in the same order
+    exportOrders(format, orders = this.sortTasks(this.filterTasks(this.tasks))) {
+        if (orders.length === 0) {
+            this.showNotification('No orders to export in the current view', 'warning');
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'json') {
+            this.downloadFile(`tomypizza-orders-${date}.json`, this.transfer.toJSON(orders), 'application/json');
+        } else {
+            this.downloadFile(`tomypizza-orders-${date}.csv`, this.transfer.toCSV(orders), 'text/csv');
+        }
+        
+        this.showNotification(`Exported ${orders.length} order${orders.length === 1 ? '' : 's'} as ${format.toUpperCase()}`, 'success');
+    }
+    
+    async handleImportFile(file) {
+        const format = /\.json$/i.test(file.name) || file.type === 'application/json' ? 'json' : 'csv';
+        
+        let records;
+        try {
+            records = this.transfer.parse(await file.text(), format);
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            this.showNotification(`Could not read ${this.escapeHTML(file.name)} as ${format.toUpperCase()}`, 'danger');
+            return;
+        }
+        
+        if (records.length === 0) {
+            this.showNotification(`${this.escapeHTML(file.name)} contains no orders`, 'warning');
+            return;
+        }
+        
+        this.pendingImport = this.transfer.preview(records, this.tasks);
+        this.showImportPreview(file.name);
+    }
+    
+    getImportModal() {
+        let modal = document.getElementById('import-orders-modal');
+        
+        // Create modal on first use
+        if (!modal) {
+            modal = this.createImportModal('import-orders-modal');
+            document.body.appendChild(modal);
+            
+            modal.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+                radio.addEventListener('change', () => this.updateImportSummary(modal));
+            });
+            modal.querySelector('#import-overwrite').addEventListener('change', () => this.updateImportSummary(modal));
+            modal.querySelector('#import-confirm').addEventListener('click', () => {
+                this.applyImport(
+                    modal.querySelector('input[name="import-mode"]:checked').value,
+                    modal.querySelector('#import-overwrite').checked
+                );
+                bootstrap.Modal.getOrCreateInstance(modal).hide();
+            });
+            modal.addEventListener('hidden.bs.modal', () => {
+                this.pendingImport = null;
             });
         }
+        
+        return modal;
     }
     
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (event) => {
-            // Ctrl/Cmd + N: New order
-            if ((event.ctrlKey || event.metaKey) && event.key === 'n') {
-                event.preventDefault();
-                document.getElementById('task-name')?.focus();
+    createImportModal(id) {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade';
+        modal.id = id;
+        modal.tabIndex = -1;
+        modal.setAttribute('aria-labelledby', 'importOrdersModalLabel');
+        modal.setAttribute('aria-hidden', 'true');
+        
+        modal.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header bg-warning text-dark">
+                        <h5 class="modal-title" id="importOrdersModalLabel">
+                            <i class="fas fa-file-import me-2" aria-hidden="true"></i>Import Orders
+                        </h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" 
+                                aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="mb-2" id="import-file-summary"></p>
+                        <div class="d-flex flex-wrap gap-3 mb-3">
+                            <div class="form-check">
+                                <input class="form-check-input" type="radio" name="import-mode" 
+                                       id="import-mode-merge" value="merge" checked>
+                                <label class="form-check-label" for="import-mode-merge">Merge with current orders</label>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="radio" name="import-mode" 
+                                       id="import-mode-replace" value="replace">
+                                <label class="form-check-label" for="import-mode-replace">Replace all current orders</label>
+                            </div>
+                            <div class="form-check">
+                                <input class="form-check-input" type="checkbox" id="import-overwrite">
+                                <label class="form-check-label" for="import-overwrite">Overwrite orders with the same id</label>
+                            </div>
+                        </div>
+                        <div class="table-responsive">
+                            <table class="table table-sm align-middle">
+                                <thead>
+                                    <tr>
+                                        <th scope="col">Row</th>
+                                        <th scope="col">Order</th>
+                                        <th scope="col">Result</th>
+                                    </tr>
+                                </thead>
+                                <tbody id="import-preview-body">
+                                    <!-- Checked rows will be listed here -->
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">
+                            <i class="fas fa-times me-2" aria-hidden="true"></i>Cancel
+                        </button>
+                        <button type="button" class="btn btn-success" id="import-confirm">
+                            <i class="fas fa-check me-2" aria-hidden="true"></i>Import
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        return modal;
+    }
+    
+    showImportPreview(filename) {
+        const modal = this.getImportModal();
+        const { rows, valid, invalid, duplicates } = this.pendingImport;
+        
+        modal.querySelector('#import-mode-merge').checked = true;
+        modal.querySelector('#import-overwrite').checked = false;
+        modal.querySelector('#import-file-summary').innerHTML = `
+            <strong>${this.escapeHTML(filename)}</strong>: ${rows.length} row${rows.length === 1 ? '' : 's'},
+            <span class="text-success">${valid.length - duplicates.length} new</span>,
+            <span class="text-warning">${duplicates.length} duplicate id${duplicates.length === 1 ? '' : 's'}</span>,
+            <span class="text-danger">${invalid.length} with errors</span>
+        `;
+        
+        modal.querySelector('#import-preview-body').innerHTML = rows.map(row => {
+            let result;
+            if (row.problems.length > 0) {
+                result = `<span class="badge bg-danger">Error</span>
+                    <ul class="small text-danger mb-0 ps-3">${row.problems.map(problem => `<li>${this.escapeHTML(problem)}</li>`).join('')}</ul>`;
+            } else if (row.duplicate) {
+                result = '<span class="badge bg-warning text-dark">Duplicate id</span>';
+            } else {
+                result = '<span class="badge bg-success">New</span>';
             }
             
-            // Escape: Close modals or clear focus
-            if (event.key === 'Escape') {
-                const activeElement = document.activeElement;
-                if (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA') {
-                    activeElement.blur();
-                }
-            }
-        });
+            const label = row.order
+                ? `#${this.escapeHTML(row.order.id)} ${this.escapeHTML(row.order.name || this.describeItems(Array.isArray(row.order.items) ? row.order.items : []))}`
+                : '<span class="text-muted">Unreadable row</span>';
+            
+            return `
+                <tr class="${row.problems.length > 0 ? 'table-danger' : ''}">
+                    <td>${row.row}</td>
+                    <td>${label}</td>
+                    <td>${result}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        this.updateImportSummary(modal);
+        bootstrap.Modal.getOrCreateInstance(modal).show();
     }
     
-    // ===== EDIT HANDLING =====
-    handleEdit(taskId) {
-        const task = this.tasks.find(t => t.id === taskId);
-        if (!task) return;
+    updateImportSummary(modal) {
+        if (!this.pendingImport) return;
+        
+        const mode = modal.querySelector('input[name="import-mode"]:checked').value;
+        const overwrite = modal.querySelector('#import-overwrite');
+        overwrite.disabled = mode === 'replace';
+        
+        const count = this.getImportedOrders(mode, overwrite.checked).length;
+        const confirmButton = modal.querySelector('#import-confirm');
+        confirmButton.disabled = count === 0;
+        confirmButton.innerHTML = `<i class="fas fa-check me-2" aria-hidden="true"></i>${mode === 'replace' ? 'Replace with' : 'Import'} ${count} order${count === 1 ? '' : 's'}`;
+    }
+    
+    // Valid rows that the chosen mode would write
+    getImportedOrders(mode, overwrite) {
+        return this.pendingImport.valid
+            .filter(row => mode === 'replace' || !row.duplicate || overwrite)
+            .map(row => {
+                const items = row.order.items.map(item => this.normalizeItem(item));
+                const extras = row.order.extras.map(extra => this.normalizeExtra(extra));
+                // Name and totals are derived, so a hand-edited file can't disagree with its own lines
+                const order = { ...row.order, items, extras, name: this.describeItems(items) };
+                return { ...order, totals: this.pricing.priceOrder(order) };
+            });
+    }
+    
+    applyImport(mode, overwrite) {
+        if (!this.pendingImport) return;
+        
+        const imported = this.getImportedOrders(mode, overwrite);
+        if (imported.length === 0) return;
         
-        // Simple inline edit for demo purposes
-        // In a real app, you would use a modal
-        const newName = prompt('Edit pizza type:', task.name);
-        if (newName && newName.trim() && newName !== task.name) {
-            this.editTask(taskId, { name: newName.trim() });
+        const before = [...this.tasks];
+        if (mode === 'replace') {
+            // Stamped past the current copy, or other tabs would keep theirs
+            this.tasks = imported.map(order => {
+                const current = before.find(task => task.id === order.id);
+                return current ? this.stampRevision(order, current) : order;
+            });
+        } else {
+            imported.forEach(order => {
+                const index = this.tasks.findIndex(task => task.id === order.id);
+                if (index === -1) {
+                    this.tasks.push(order);
+                } else {
+                    this.tasks[index] = this.stampRevision(order, this.tasks[index]);
+                }
+            });
         }
+        
+        this.pendingImport = null;
+        this.recordHistory(`Import ${imported.length} order${imported.length === 1 ? '' : 's'}`, before);
+        this.saveTasks();
+        this.loadTasks();
+        this.updateOrderSummary();
+        this.showNotification(
+            `${mode === 'replace' ? 'Replaced orders with' : 'Imported'} ${imported.length} order${imported.length === 1 ? '' : 's'}`,
+            'success',
+            this.getUndoAction()
+        );
     }
     
     // ===== TIMER SYSTEM =====
     startTimers() {
-        // Update timers every minute
-        setInterval(() => {
-            this.updateTimers();
-        }, 60000);
+        // Orders that went late while the page was closed fire their rules straight away
+        this.checkSla();
+        this.materialiseRecurring();
+        this.lastSlaCheck = Date.now();
+        
+        this.timers.subscribe(now => this.updateTimers(now));
+        this.timers.start();
     }
     
-    updateTimers() {
-        let needsRefresh = false;
+    // Runs every second: only timer cells and row colours whose text changed are touched,
+    // so buttons keep their focus and open dropdowns stay open
+    updateTimers(now = new Date()) {
+        const tasksById = new Map(this.tasks.map(task => [task.id, task]));
         
-        this.tasks.forEach(task => {
-            if (task.status === 'pending') {
-                const dueDate = new Date(task.due);
-                const now = new Date();
-                const timeDiff = dueDate - now;
-                
-                // Auto-mark as completed if overdue by more than 60 minutes
-                if (timeDiff <= 0) {
-                    const overdueTime = Math.abs(timeDiff) / (1000 * 60);
-                    if (overdueTime > 60) {
-                        this.markAsCompleted(task.id);
-                        needsRefresh = true;
-                    }
-                }
+        document.querySelectorAll('#tasks-list [data-timer-for]').forEach(cell => {
+            const task = tasksById.get(parseInt(cell.dataset.timerFor));
+            if (!task) return;
+            
+            const timer = this.getTimerState(task, now);
+            if (cell.dataset.timerText !== timer.text) {
+                cell.dataset.timerText = timer.text;
+                cell.innerHTML = this.createTimerDisplay(task, now);
             }
+            
+            const row = cell.closest('tr');
+            const rowClass = this.getRowClass(task, now);
+            row.classList.toggle('table-warning', rowClass === 'table-warning');
+            row.classList.toggle('table-danger', rowClass === 'table-danger');
         });
         
-        // Refresh display if any changes
-        if (needsRefresh || this.tasks.some(t => t.status === 'pending')) {
-            this.loadTasks();
+        // SLA thresholds and delivery slots are in minutes, so they are checked once a minute
+        if (now - this.lastSlaCheck >= 60000) {
+            this.lastSlaCheck = now.getTime();
+            this.checkSla();
+            this.materialiseRecurring(now);
+            this.updateEtas(now);
+            this.updateOrderEta();
+            
+            // Pre-orders join the kitchen display once their start time comes round
+            this.kitchenDisplay?.render();
         }
     }
     
+    // ===== SLA RULES =====
+    // Late orders are flagged, escalated or reprioritised, never completed
+    checkSla() {
+        const firings = this.sla.check(this.tasks);
+        if (firings.length === 0) return;
+        
+        const at = new Date().toISOString();
+        const updates = new Map();
+        
+        firings.forEach(firing => {
+            updates.set(firing.order.id, this.stampRevision(this.sla.apply(firing, at), firing.order, 'SLA rules'));
+            this.sla.log(firing, at);
+            
+            if (firing.actions.includes('toast')) {
+                const late = Math.round(firing.minutesLate);
+                const timing = late >= 0 ? `${late} min late` : `due in ${-late} min`;
+                this.showNotification(
+                    `${firing.level === 'escalate' ? 'Escalated' : 'Running late'}: ${this.escapeHTML(firing.order.name)} (${timing}, ${this.escapeHTML(firing.rule.label)})`,
+                    firing.level === 'escalate' ? 'danger' : 'warning'
+                );
+            }
+        });
+        
+        this.tasks = this.tasks.map(task => updates.get(task.id) || task);
+        this.saveTasks({ actor: 'SLA rules' });
+        this.loadTasks();
+        this.updateOrderSummary();
+        this.renderSlaLog();
+    }
+    
+    markReviewed(taskId) {
+        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
+        if (taskIndex === -1 || !this.tasks[taskIndex].sla?.flagged) return;
+        
+        const task = this.tasks[taskIndex];
+        const before = [...this.tasks];
+        this.tasks[taskIndex] = this.stampRevision(this.sla.clearReview(task), task);
+        this.recordHistory(`Review ${task.name}`, before);
+        this.saveTasks();
+        this.loadTasks();
+        this.showNotification(`Reviewed: ${this.escapeHTML(task.name)}`, 'success', this.getUndoAction());
+    }
+    
+    setupSlaHandlers() {
+        document.getElementById('sla-log-clear')?.addEventListener('click', () => {
+            if (!this.requirePermission('review')) return;
+            if (confirm('Clear the SLA log? Order flags are kept.')) {
+                this.sla.clearLog();
+                this.renderSlaLog();
+            }
+        });
+        this.renderSlaLog();
+    }
+    
+    renderSlaLog() {
+        const container = document.getElementById('sla-log');
+        if (!container) return;
+        
+        const actionLabels = {
+            'highlight': 'highlighted',
+            'toast': 'alerted',
+            'raise-priority': 'priority raised',
+            'flag-review': 'flagged for review'
+        };
+        const log = this.sla.getLog().slice(0, 20);
+        
+        container.innerHTML = log.length === 0
+            ? '<li class="list-group-item small text-muted">No SLA rules have fired.</li>'
+            : log.map(entry => `
+                <li class="list-group-item small">
+                    <span class="badge ${entry.level === 'escalate' ? 'bg-danger' : 'bg-warning text-dark'} me-1">
+                        ${entry.level === 'escalate' ? 'Escalated' : 'Warning'}
+                    </span>
+                    <strong>${this.escapeHTML(entry.orderName)}</strong>
+                    · ${this.escapeHTML(entry.ruleLabel)}, ${entry.minutesLate} min past due
+                    <div class="text-muted">
+                        ${this.formatDueDate(entry.at)} · ${entry.actions.map(action => actionLabels[action] || action).join(', ')}
+                    </div>
+                </li>
+            `).join('');
+    }
+    
     // ===== NOTIFICATION SYSTEM =====
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', action = null) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `alert alert-${type} alert-dismissible fade show position-fixed`;
@@ -653,6 +4417,7 @@ class TaskManager {
                     <h6 class="mb-1">${type.charAt(0).toUpperCase() + type.slice(1)}</h6>
                     <p class="mb-0">${message}</p>
                 </div>
+                ${action ? `<button type="button" class="btn btn-sm btn-outline-dark notification-action ms-2">${action.label}</button>` : ''}
                 <button type="button" class="btn-close" data-bs-dismiss="alert" 
                         aria-label="Close"></button>
             </div>
@@ -660,6 +4425,12 @@ class TaskManager {
         
         document.body.appendChild(notification);
         
+        // Optional inline action such as Undo
+        notification.querySelector('.notification-action')?.addEventListener('click', () => {
+            notification.remove();
+            action.handler();
+        });
+        
         // Auto-remove after 5 seconds
         setTimeout(() => {
             if (notification.parentNode) {
@@ -691,29 +4462,62 @@ class TaskManager {
     }
     
     // ===== HELPER FUNCTIONS =====
-    getRandomAthensLocation() {
-        const locations = [
-            'Aghia Paraskevi',
-            'Chalandri',
-            'Marousi',
-            'Kifisia',
-            'Nea Smyrni',
-            'Glyfada',
-            'Piraeus',
-            'Athens Center'
-        ];
-        return locations[Math.floor(Math.random() * locations.length)];
+    formatDueDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-GB', {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    formatTime(dateString) {
+        return new Date(dateString).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    }
+    
+    // datetime-local inputs expect local time without a timezone suffix
+    toDateTimeInputValue(dateString) {
+        const date = new Date(dateString);
+        const offset = date.getTimezoneOffset() * 60000;
+        return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+    }
+    
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
     prefillFirstOrder() {
-        document.getElementById('task-name').value = 'Large Pepperoni Pizza';
+        this.setBuilderContents(this.orderBuilder, [{
+            pizza: 'Pepperoni',
+            size: 'large',
+            crust: 'classic',
+            toppings: { add: ['Extra Cheese'], remove: [] },
+            notes: 'Well done'
+        }]);
         document.getElementById('task-description').value = 'Extra cheese, well done';
         document.getElementById('task-priority').value = 'medium';
-        this.setDefaultDueDate();
+        const addressInput = document.getElementById('task-address');
+        addressInput.value = 'Mesogeion 402, 153 42 Aghia Paraskevi';
+        this.setDefaultDueDate(this.updateZoneInfo(addressInput).zone.etaOffset);
         
         // Scroll to form
         document.getElementById('task-form').scrollIntoView({ behavior: 'smooth' });
-        document.getElementById('task-name').focus();
+        document.getElementById('item-pizza').focus();
         
         this.showNotification('Form prefilled! Click "Place Order Now" to add your first order.', 'info');
     }
@@ -0,0 +1,86 @@
+/*
+    FILE: timer-scheduler.js - Shared Once-a-Second Scheduler
+    CONTENTS:
+    1. TimerScheduler class (one timeout chain for every live timer)
+    2. Page visibility handling
+
+    FEATURES:
+    - Ticks on the wall-clock second, so countdowns never drift
+    - Subscribers get the tick time and only touch what changed
+    - Stops while the tab is hidden and catches up as soon as it is shown
+
+    AUTHOR: George Papasotiriou
+    COURSE: ITC 4214 - Fullstack Web Design
+    PROJECT: ToMyPizza! Task Management Application
+*/
+
+// ===== TIMER SCHEDULER CLASS =====
+class TimerScheduler {
+    constructor(interval = 1000) {
+        this.interval = interval;
+        this.listeners = [];
+        this.timeoutId = null;
+        this.running = false;
+
+        document.addEventListener('visibilitychange', () => {
+            if (!this.running) return;
+            if (document.hidden) {
+                this.pause();
+            } else {
+                // Re-sync with the clock straight away instead of waiting for the next tick
+                this.tick();
+            }
+        });
+    }
+
+    // Returns a function that removes the listener again
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(candidate => candidate !== listener);
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        if (!document.hidden) this.schedule();
+    }
+
+    stop() {
+        this.running = false;
+        this.pause();
+    }
+
+    pause() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+    }
+
+    // ===== TICKING =====
+    // A fresh timeout each tick, aimed at the next whole interval of the wall clock,
+    // so late timeouts (busy page, sleeping laptop) never add up
+    schedule() {
+        this.pause();
+        const delay = this.interval - (Date.now() % this.interval);
+        this.timeoutId = setTimeout(() => this.tick(), delay);
+    }
+
+    tick() {
+        const now = new Date();
+        this.listeners.forEach(listener => {
+            try {
+                listener(now);
+            } catch (error) {
+                console.error('Timer listener failed:', error);
+            }
+        });
+
+        if (this.running && !document.hidden) this.schedule();
+    }
+}
+
+// ===== EXPORT FOR TESTING =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimerScheduler;
+}